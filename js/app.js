@@ -17,12 +17,21 @@
         self.userEmail = ko.observable('');
         self.isInitialized = ko.observable(false);
 
+        // Last list state of the posts page, restored by "Back to Posts"
+        self.lastPostsParams = {};
+
+        // User of the users/:userId pages (profile, todos, albums), null elsewhere
+        self.sectionUserId = ko.observable(null);
+
         // View model instances cache
         self.viewModels = {
             login: null,
             posts: null,
             detail: null,
-            analytics: null
+            analytics: null,
+            user: null,
+            todos: null,
+            albums: null
         };
 
         /**
@@ -32,15 +41,27 @@
             console.info('Initializing Knockout.js');
 
             try {
+                // Select the API backend before any view model loads data
+                ApiService.configure(AppConfig.getBackendOptions());
+                self.setupApiInterceptors();
+
                 // Set up routes
                 self.setupRoutes();
 
                 // Initialize router
-                Router.init();
+                Router.init(AppConfig.getRouterOptions());
 
                 // Set up global error handling
                 self.setupErrorHandling();
 
+                // Start replaying queued offline changes
+                SyncService.init();
+                SyncService.onReject(self.handleSyncReject);
+
+                // Follow logins, logouts and edits made in other tabs
+                TabSyncService.init();
+                TabSyncService.onChange(self.handleTabChange);
+
                 // Set up route change callbacks
                 self.setupRouteCallbacks();
 
@@ -68,7 +89,7 @@
 
             // Posts list route
             Router.addRoute('posts', function(params) {
-                self.navigateToPosts();
+                self.navigateToPosts(params);
             }, {
                 title: 'Posts',
                 requiresAuth: true
@@ -78,10 +99,45 @@
             Router.addRoute('detail', function(params) {
                 self.navigateToDetail(params.id);
             }, {
+                path: 'posts/:id',
                 title: 'Post Detail',
                 requiresAuth: true
             });
 
+            // User pages layout, its tabs link the profile, todos and albums
+            Router.addRoute('userSection', function(params) {
+                self.sectionUserId(params.userId);
+            }, {
+                path: 'users/:userId',
+                requiresAuth: true
+            });
+
+            // Author profile route
+            Router.addRoute('user', function(params) {
+                self.navigateToUser(params.userId);
+            }, {
+                path: '',
+                parent: 'userSection',
+                title: 'Author Profile'
+            });
+
+            // Todo board route
+            Router.addRoute('todos', function(params) {
+                self.navigateToTodos(params.userId);
+            }, {
+                parent: 'userSection',
+                title: 'Todos'
+            });
+
+            // Albums and photo gallery route
+            Router.addRoute('albums', function(params) {
+                self.navigateToAlbums(params);
+            }, {
+                path: 'albums/:albumId?',
+                parent: 'userSection',
+                title: 'Albums'
+            });
+
             // Analytics route
             Router.addRoute('analytics', function(params) {
                 self.navigateToAnalytics();
@@ -99,7 +155,7 @@
         self.setupRouteCallbacks = function() {
             // Before route change - cleanup previous view model
             Router.beforeRouteChange(function(currentRoute, newRoute) {
-                if (currentRoute && currentRoute.path !== newRoute.path) {
+                if (currentRoute && currentRoute.name !== newRoute.name) {
                     self.cleanupCurrentViewModel();
                 }
                 return true; // Allow navigation
@@ -108,6 +164,39 @@
             // After route change - update user email if logged in
             Router.afterRouteChange(function(currentRoute, previousRoute) {
                 self.updateUserInfo();
+
+                if (!Router.isActive('userSection')) {
+                    self.sectionUserId(null);
+                }
+            });
+        };
+
+        /**
+         * Set up API request interceptors
+         */
+        self.setupApiInterceptors = function() {
+            if (!AppConfig.get('sendAuthHeader')) {
+                return;
+            }
+
+            // Attach the session to outgoing requests
+            ApiService.addRequestInterceptor(function(config) {
+                var userData = StorageService.getUser();
+                if (userData && userData.sessionId) {
+                    config.options.headers['Authorization'] = 'Bearer ' + userData.sessionId;
+                }
+                return config;
+            });
+
+            // Expired or rejected session, send the user back to login
+            ApiService.addErrorInterceptor(function(error) {
+                if (error.status === 401 && StorageService.isLoggedIn()) {
+                    self.cleanupAllViewModels();
+                    StorageService.removeUser();
+                    Router.navigate('login');
+                    Helpers.showNotification('Your session has expired, please log in again', 'warning');
+                }
+                throw error;
             });
         };
 
@@ -128,6 +217,40 @@
             });
         };
 
+        /**
+         * Follow logins and logouts made in other tabs
+         * @param {Object} change - Change from TabSyncService
+         */
+        self.handleTabChange = function(change) {
+            if (change.type !== 'session') {
+                return;
+            }
+
+            var userData = StorageService.getUser();
+            if (!userData && self.currentPage() !== 'login') {
+                self.cleanupAllViewModels();
+                self.lastPostsParams = {};
+                Router.navigate('login');
+                Helpers.showNotification('You were logged out in another tab', 'warning');
+            } else if (userData && self.currentPage() === 'login') {
+                Router.navigate('posts');
+            }
+
+            self.updateUserInfo();
+        };
+
+        /**
+         * Tell the user a change was not accepted by the API
+         * The change stays queued as failed, "Sync now" retries it
+         * @param {Object} mutation - Rejected mutation
+         * @param {Error} error - Error the API responded with
+         */
+        self.handleSyncReject = function(mutation, error) {
+            var record = mutation.resource.replace(/s$/, '');
+            Helpers.showNotification('The server rejected your ' + record + ' change (' + error.message +
+                '). It was kept locally and can be retried with "Sync now".', 'error');
+        };
+
         /**
          * Update user information
          */
@@ -140,31 +263,65 @@
             }
         };
 
+        /**
+         * Switch the visible page and its view model
+         * Clearing the view model first keeps the outgoing page's bindings
+         * from being evaluated against the incoming view model
+         * @param {string} page - Page name
+         * @param {Object} viewModel - View model for the page
+         */
+        self.showPage = function(page, viewModel) {
+            self.currentViewModel(null);
+            self.currentPage(page);
+            self.currentViewModel(viewModel);
+        };
+
+        /**
+         * Tabs of the user pages layout
+         */
+        self.userSectionTabs = ko.computed(function() {
+            var userId = self.sectionUserId();
+            if (!userId) return [];
+
+            return [
+                { name: 'user', label: 'Profile' },
+                { name: 'todos', label: 'Todos' },
+                { name: 'albums', label: 'Albums' }
+            ].map(function(tab) {
+                return Object.assign({ url: Router.generateUrl(tab.name, { userId: userId }) }, tab);
+            });
+        });
+
         /**
          * Navigate to login page
          */
         self.navigateToLogin = function() {
-            self.currentPage('login');
-            
             if (!self.viewModels.login) {
                 self.viewModels.login = new LoginViewModel();
             }
             
-            self.currentViewModel(self.viewModels.login);
+            self.showPage('login', self.viewModels.login);
             console.info('Navigated to login page');
         };
 
         /**
          * Navigate to posts list page
+         * @param {Object} params - List state from the URL (search, filters, sort, page)
          */
-        self.navigateToPosts = function() {
-            self.currentPage('posts');
-            
+        self.navigateToPosts = function(params) {
+            self.lastPostsParams = params || {};
+
+            // Query changes while the list is open only update its state
+            if (self.currentPage() === 'posts' && self.viewModels.posts) {
+                self.viewModels.posts.applyParams(params);
+                return;
+            }
+
             // Always create a new instance to refresh data
             self.cleanupViewModel('posts');
             self.viewModels.posts = new PostsListViewModel();
             
-            self.currentViewModel(self.viewModels.posts);
+            self.showPage('posts', self.viewModels.posts);
             console.info('Navigated to posts page');
         };
 
@@ -180,27 +337,69 @@
                 return;
             }
 
-            self.currentPage('detail');
-            
             // Always create a new instance for each post
             self.cleanupViewModel('detail');
             self.viewModels.detail = new PostDetailViewModel(postId);
             
-            self.currentViewModel(self.viewModels.detail);
+            self.showPage('detail', self.viewModels.detail);
             console.info('Navigated to post detail page:', postId);
         };
 
+        /**
+         * Navigate to author profile page
+         * @param {string} userId - User ID
+         */
+        self.navigateToUser = function(userId) {
+            if (!userId) {
+                console.error('User ID is required for profile page');
+                Helpers.showNotification('User ID is required', 'error');
+                Router.navigate('posts');
+                return;
+            }
+
+            // Always create a new instance for each user
+            self.cleanupViewModel('user');
+            self.viewModels.user = new UserProfileViewModel(userId);
+
+            self.showPage('user', self.viewModels.user);
+            console.info('Navigated to author profile page:', userId);
+        };
+
+        /**
+         * Navigate to todo board page
+         * @param {string} userId - User ID, the first user if omitted
+         */
+        self.navigateToTodos = function(userId) {
+            // Always create a new instance for each user
+            self.cleanupViewModel('todos');
+            self.viewModels.todos = new TodosViewModel(userId);
+
+            self.showPage('todos', self.viewModels.todos);
+            console.info('Navigated to todos page:', userId);
+        };
+
+        /**
+         * Navigate to albums page
+         * @param {Object} params - userId, and albumId of the open album
+         */
+        self.navigateToAlbums = function(params) {
+            // Always create a new instance for each user and album
+            self.cleanupViewModel('albums');
+            self.viewModels.albums = new AlbumsViewModel(params);
+
+            self.showPage('albums', self.viewModels.albums);
+            console.info('Navigated to albums page:', params);
+        };
+
         /**
          * Navigate to analytics page
          */
         self.navigateToAnalytics = function() {
-            self.currentPage('analytics');
-            
-            if (!self.viewModels.analytics) {
-                self.viewModels.analytics = new AnalyticsViewModel();
-            }
-            
-            self.currentViewModel(self.viewModels.analytics);
+            // Always create a new instance, the previous one cancelled its requests on dispose
+            self.cleanupViewModel('analytics');
+            self.viewModels.analytics = new AnalyticsViewModel();
+
+            self.showPage('analytics', self.viewModels.analytics);
             console.info('Navigated to analytics page');
         };
 
@@ -208,7 +407,7 @@
          * Navigation helper methods for use in templates
          */
         self.navigateToPostsHelper = function() {
-            Router.navigate('posts');
+            Router.navigate('posts', self.lastPostsParams);
         };
 
         self.navigateToAnalyticsHelper = function() {
@@ -219,6 +418,29 @@
             Router.navigate('detail', { id: postId });
         };
 
+        self.navigateToUserHelper = function(userId) {
+            Router.navigate('user', { userId: userId });
+        };
+
+        /**
+         * User whose todos and albums the menu links open: the one of the
+         * current user page, otherwise the logged in user
+         * @returns {number|string} User ID
+         */
+        self.getMenuUserId = function() {
+            var userData = StorageService.getUser();
+            // Sessions saved before the user ID was stored fall back to the demo user
+            return self.sectionUserId() || (userData && userData.userId) || 1;
+        };
+
+        self.navigateToTodosHelper = function() {
+            Router.navigate('todos', { userId: self.getMenuUserId() });
+        };
+
+        self.navigateToAlbumsHelper = function() {
+            Router.navigate('albums', { userId: self.getMenuUserId() });
+        };
+
         /**
          * Logout helper
          */
@@ -229,6 +451,7 @@
                 
                 // Remove user session
                 StorageService.removeUser();
+                self.lastPostsParams = {};
                 
                 // Navigate to login
                 Router.navigate('login');
@@ -277,6 +500,10 @@
             
             // Cleanup all view models
             self.cleanupAllViewModels();
+
+            // Stop background sync
+            SyncService.stop();
+            TabSyncService.stop();
             
             // Clear current view model
             self.currentViewModel(null);
@@ -0,0 +1,97 @@
+/**
+ * AppConfig - Startup configuration for the application
+ * Defaults can be overridden by defining window.APP_CONFIG before this script
+ * or per page load with query parameters, e.g. index.html?backend=fixture
+ * or index.html?apiBaseUrl=https://staging.example.com
+ */
+var AppConfig = (function() {
+    'use strict';
+
+    var defaults = {
+        // 'rest' talks to apiBaseUrl, 'fixture' serves data/fixtures from memory
+        backend: 'rest',
+        apiBaseUrl: 'https://jsonplaceholder.typicode.com',
+        fixturePath: 'data/fixtures',
+        fixtureLatency: 150,
+        // Posts loaded per page on the posts list
+        pageSize: 20,
+        // Default API request timeout in milliseconds
+        requestTimeout: 15000,
+        // Send the session as a bearer token for APIs that require auth
+        sendAuthHeader: false,
+        // 'hash' URLs (#posts/5) or 'history' URLs (/posts/5), which need the
+        // server to answer every path under routerBase with index.html
+        routerMode: 'hash',
+        routerBase: ''
+    };
+
+    /**
+     * Read overrides from the page query string
+     * @returns {Object} Config values found in the query string
+     */
+    function readQueryOverrides() {
+        var overrides = {};
+
+        try {
+            var query = new URLSearchParams(window.location.search);
+            Object.keys(defaults).forEach(function(key) {
+                if (query.has(key)) {
+                    var value = query.get(key);
+                    if (typeof defaults[key] === 'number') {
+                        value = Number(value);
+                    } else if (typeof defaults[key] === 'boolean') {
+                        value = value === 'true' || value === '1';
+                    }
+                    overrides[key] = value;
+                }
+            });
+        } catch (error) {
+            console.error('Error reading config from query string:', error);
+        }
+
+        return overrides;
+    }
+
+    var config = Object.assign({}, defaults, window.APP_CONFIG || {}, readQueryOverrides());
+
+    /**
+     * Get a config value
+     * @param {string} key - Config key
+     * @returns {*} Config value
+     */
+    function get(key) {
+        return config[key];
+    }
+
+    /**
+     * Get backend options for ApiService.configure
+     * @returns {Object} Backend options
+     */
+    function getBackendOptions() {
+        return {
+            backend: config.backend,
+            baseUrl: config.apiBaseUrl,
+            fixturePath: config.fixturePath,
+            fixtureLatency: config.fixtureLatency,
+            timeout: config.requestTimeout
+        };
+    }
+
+    /**
+     * Get router options for Router.init
+     * @returns {Object} Router options
+     */
+    function getRouterOptions() {
+        return {
+            mode: config.routerMode,
+            base: config.routerBase
+        };
+    }
+
+    // Public API
+    return {
+        get: get,
+        getBackendOptions: getBackendOptions,
+        getRouterOptions: getRouterOptions
+    };
+})();
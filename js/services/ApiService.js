@@ -1,20 +1,137 @@
 /**
  * ApiService - Handles HTTP requests to JSONPlaceholder API
- * Provides methods for fetching posts data with error handling and caching
+ * Provides methods for fetching posts and comments data with error handling and caching.
+ * Requests go through a pluggable backend adapter (REST or in-memory fixtures)
  */
 var ApiService = (function() {
     'use strict';
 
     var BASE_URL = 'https://jsonplaceholder.typicode.com';
+    var DEFAULT_TIMEOUT = 15000;
+
+    // Active backend adapter, created lazily with the REST defaults
+    var adapter = null;
+    var requestTimeout = DEFAULT_TIMEOUT;
+
+    // Last server version seen of each post, new edits record it as their base
+    var serverPosts = {};
+
+    // Post fields merged field by field between local edits and the server
+    var MERGE_FIELDS = ['title', 'body', 'userId'];
+
+    // Interceptor chains applied by makeRequest
+    var requestInterceptors = [];
+    var responseInterceptors = [];
+    var errorInterceptors = [];
+
+    var ERROR_TYPES = {
+        NETWORK: 'network',
+        TIMEOUT: 'timeout',
+        HTTP: 'http',
+        PARSE: 'parse',
+        ABORTED: 'aborted'
+    };
+
+    /**
+     * Structured error for failed API requests
+     * @param {string} type - One of ERROR_TYPES
+     * @param {string} message - Error message
+     * @param {Object} details - Extra details
+     * @param {number} details.status - HTTP status code (HTTP errors only)
+     * @param {string} details.url - Requested URL
+     * @param {Error} details.cause - Underlying error
+     */
+    function ApiError(type, message, details) {
+        details = details || {};
+
+        this.name = 'ApiError';
+        this.type = type;
+        this.message = message;
+        this.status = details.status || null;
+        this.url = details.url || '';
+        this.cause = details.cause || null;
+    }
+
+    ApiError.prototype = Object.create(Error.prototype);
+    ApiError.prototype.constructor = ApiError;
+
+    /**
+     * Check if the request never reached the server (offline or too slow)
+     * @returns {boolean} True for network and timeout errors
+     */
+    ApiError.prototype.isConnectivityError = function() {
+        return this.type === ERROR_TYPES.NETWORK || this.type === ERROR_TYPES.TIMEOUT;
+    };
+
+    /**
+     * Check if repeating the request may succeed
+     * @returns {boolean} True for connectivity errors and server-side HTTP errors
+     */
+    ApiError.prototype.isRetryable = function() {
+        return this.isConnectivityError() ||
+            (this.type === ERROR_TYPES.HTTP && this.status >= 500);
+    };
+
+    /**
+     * Check if an error came from a cancelled request
+     * @param {*} error - Error to check
+     * @returns {boolean} True if the request was aborted
+     */
+    function isAbortError(error) {
+        return error instanceof ApiError && error.type === ERROR_TYPES.ABORTED;
+    }
+
+    /**
+     * Run a value through an interceptor chain, one interceptor after another
+     * @param {Array} interceptors - Interceptor functions
+     * @param {*} value - Initial value
+     * @param {Object} context - Request context passed to each interceptor
+     * @returns {Promise} Promise that resolves to the final value
+     */
+    function runInterceptors(interceptors, value, context) {
+        return interceptors.reduce(function(promise, interceptor) {
+            return promise.then(function(current) {
+                var result = interceptor(current, context);
+                return result === undefined ? current : result;
+            });
+        }, Promise.resolve(value));
+    }
+
+    /**
+     * Parse a response body as JSON, allowing empty bodies
+     * @param {Response} response - Fetch response
+     * @param {string} url - Requested URL
+     * @returns {Promise} Promise that resolves to parsed data or null
+     */
+    function parseResponse(response, url) {
+        return response.text().then(function(text) {
+            if (!text) {
+                return null;
+            }
+
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                throw new ApiError(ERROR_TYPES.PARSE, 'Invalid JSON in response', {
+                    status: response.status,
+                    url: url,
+                    cause: error
+                });
+            }
+        });
+    }
 
     /**
      * Generic HTTP request handler
      * @param {string} url - The URL to fetch
      * @param {Object} options - Fetch options
+     * @param {number} options.timeout - Timeout in milliseconds (0 disables it)
+     * @param {AbortSignal} options.signal - Signal to cancel the request
+     * @param {boolean} options.withHeaders - Resolve to { data, headers } instead of data
      * @returns {Promise} Promise that resolves to response data
      */
     function makeRequest(url, options) {
-        options = options || {};
+        options = Object.assign({}, options);
         
         // Set default headers
         var defaultHeaders = {
@@ -23,31 +140,221 @@ var ApiService = (function() {
         
         options.headers = Object.assign(defaultHeaders, options.headers || {});
 
-        return fetch(url, options)
+        var timeout = options.timeout !== undefined ? options.timeout : requestTimeout;
+        var callerSignal = options.signal;
+        var controller = new AbortController();
+        var timedOut = false;
+        var timer = null;
+        var withHeaders = options.withHeaders === true;
+
+        delete options.timeout;
+        delete options.withHeaders;
+        options.signal = controller.signal;
+
+        /**
+         * Forward cancellation from the caller's signal
+         */
+        function abortFromCaller() {
+            controller.abort();
+        }
+
+        if (callerSignal) {
+            if (callerSignal.aborted) {
+                controller.abort();
+            } else {
+                callerSignal.addEventListener('abort', abortFromCaller);
+            }
+        }
+
+        var context = { url: url, options: options };
+
+        return runInterceptors(requestInterceptors, context, context)
+            .then(function(config) {
+                context = config;
+
+                if (timeout > 0) {
+                    timer = setTimeout(function() {
+                        timedOut = true;
+                        controller.abort();
+                    }, timeout);
+                }
+
+                return fetch(config.url, config.options)
+                    .catch(function(error) {
+                        if (timedOut) {
+                            throw new ApiError(ERROR_TYPES.TIMEOUT, 'Request timed out after ' + timeout + 'ms', {
+                                url: config.url,
+                                cause: error
+                            });
+                        }
+                        if (error && error.name === 'AbortError') {
+                            throw new ApiError(ERROR_TYPES.ABORTED, 'Request was cancelled', {
+                                url: config.url,
+                                cause: error
+                            });
+                        }
+                        throw new ApiError(ERROR_TYPES.NETWORK, 'Network error: ' + error.message, {
+                            url: config.url,
+                            cause: error
+                        });
+                    });
+            })
             .then(function(response) {
                 if (!response.ok) {
-                    throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+                    throw new ApiError(ERROR_TYPES.HTTP, 'HTTP ' + response.status + ': ' + response.statusText, {
+                        status: response.status,
+                        url: context.url
+                    });
                 }
-                return response.json();
+                context.response = response;
+                return parseResponse(response, context.url);
+            })
+            .then(function(data) {
+                return runInterceptors(responseInterceptors, data, context);
+            })
+            .then(function(data) {
+                return withHeaders ? { data: data, headers: context.response.headers } : data;
+            })
+            .catch(function(error) {
+                // Error interceptors may recover by returning a value instead of throwing
+                return errorInterceptors.reduce(function(promise, interceptor) {
+                    return promise.catch(function(currentError) {
+                        return interceptor(currentError, context);
+                    });
+                }, Promise.reject(error));
             })
             .catch(function(error) {
-                console.error('API Request failed:', error);
+                if (!isAbortError(error)) {
+                    console.error('API Request failed:', error);
+                }
                 throw error;
+            })
+            .finally(function() {
+                clearTimeout(timer);
+                if (callerSignal) {
+                    callerSignal.removeEventListener('abort', abortFromCaller);
+                }
             });
     }
 
+    /**
+     * Add interceptor for outgoing requests
+     * Receives { url, options } and may return a modified copy (or a promise of one)
+     * @param {Function} interceptor - Interceptor function
+     */
+    function addRequestInterceptor(interceptor) {
+        if (typeof interceptor === 'function') {
+            requestInterceptors.push(interceptor);
+        }
+    }
+
+    /**
+     * Add interceptor for successful responses
+     * Receives the parsed data and the request context, may return replacement data
+     * @param {Function} interceptor - Interceptor function
+     */
+    function addResponseInterceptor(interceptor) {
+        if (typeof interceptor === 'function') {
+            responseInterceptors.push(interceptor);
+        }
+    }
+
+    /**
+     * Add interceptor for failed requests
+     * Receives the ApiError and the request context, must rethrow or return recovery data
+     * @param {Function} interceptor - Interceptor function
+     */
+    function addErrorInterceptor(interceptor) {
+        if (typeof interceptor === 'function') {
+            errorInterceptors.push(interceptor);
+        }
+    }
+
+    /**
+     * Remove an interceptor
+     * @param {Function} interceptor - Interceptor to remove
+     * @param {string} type - 'request', 'response' or 'error'
+     */
+    function removeInterceptor(interceptor, type) {
+        var chains = {
+            request: requestInterceptors,
+            response: responseInterceptors,
+            error: errorInterceptors
+        };
+        var chain = chains[type] || [];
+        var index = chain.indexOf(interceptor);
+        if (index > -1) {
+            chain.splice(index, 1);
+        }
+    }
+
+    /**
+     * Select the backend adapter
+     * @param {Object} options - Backend options
+     * @param {string} options.backend - 'rest' (default) or 'fixture'
+     * @param {string} options.baseUrl - Base URL for the REST adapter
+     * @param {string} options.fixturePath - Folder holding the fixture JSON files
+     * @param {number} options.fixtureLatency - Simulated fixture latency in milliseconds
+     * @param {number} options.timeout - Default request timeout in milliseconds
+     */
+    function configure(options) {
+        options = options || {};
+
+        if (options.timeout !== undefined) {
+            requestTimeout = options.timeout;
+        }
+
+        if (options.backend === 'fixture') {
+            adapter = new FixtureAdapter({
+                fixturePath: options.fixturePath,
+                latency: options.fixtureLatency
+            });
+        } else {
+            adapter = new RestAdapter({
+                baseUrl: options.baseUrl || BASE_URL,
+                transport: makeRequest
+            });
+        }
+
+        console.info('API backend configured:', adapter.name, adapter.describe());
+    }
+
+    /**
+     * Get the active backend adapter
+     * @returns {Object} Backend adapter
+     */
+    function getAdapter() {
+        if (!adapter) {
+            configure({});
+        }
+        return adapter;
+    }
+
+    /**
+     * Send a request for a resource path through the active adapter
+     * @param {string} path - Resource path (e.g. '/posts/1')
+     * @param {Object} options - Fetch options
+     * @returns {Promise} Promise that resolves to response data
+     */
+    function request(path, options) {
+        return getAdapter().request(path, options);
+    }
+
     /**
      * Fetch all posts from JSONPlaceholder
+     * @param {Object} options - Request options (e.g. signal for cancellation)
      * @returns {Promise<Array>} Promise that resolves to array of posts
      */
-    function fetchPosts() {
-        return makeRequest(BASE_URL + '/posts')
+    function fetchPosts(options) {
+        return request('/posts', options)
             .then(function(posts) {
                 // Cache the posts for offline access
                 StorageService.cachePosts(posts);
                 return posts;
             })
             .catch(function(error) {
+                if (isAbortError(error)) throw error;
+
                 console.warn('Failed to fetch posts from API, trying cache:', error);
                 
                 // Try to get cached posts if API fails
@@ -58,18 +365,79 @@ var ApiService = (function() {
                 }
                 
                 // If no cache available, throw the original error
-                throw new Error('Unable to fetch posts: ' + error.message);
+                throw error;
+            });
+    }
+
+    /**
+     * Fetch one page of posts
+     * @param {number} page - Page number, starting at 1
+     * @param {number} limit - Posts per page
+     * @param {Object} options - Request options (e.g. signal for cancellation)
+     * @param {Object} options.sort - Server-side order as { key, order } (default: by ID)
+     * @returns {Promise<Object>} Promise that resolves to { posts, total, page, limit }
+     */
+    function fetchPostsPage(page, limit, options) {
+        var sort = options && options.sort;
+        var path = '/posts?_page=' + page + '&_limit=' + limit;
+        if (sort) {
+            path += '&_sort=' + encodeURIComponent(sort.key) + '&_order=' + (sort.order === 'desc' ? 'desc' : 'asc');
+        }
+
+        var requestOptions = Object.assign({}, options, { withHeaders: true });
+        delete requestOptions.sort;
+
+        return request(path, requestOptions)
+            .then(function(response) {
+                var total = parseInt(response.headers.get('X-Total-Count'), 10);
+                if (isNaN(total)) {
+                    // Without the header keep paging while pages come back full
+                    total = (page - 1) * limit + response.data.length +
+                        (response.data.length === limit ? 1 : 0);
+                }
+
+                return {
+                    posts: response.data,
+                    total: total,
+                    page: page,
+                    limit: limit
+                };
+            })
+            .catch(function(error) {
+                if (isAbortError(error)) throw error;
+
+                console.warn('Failed to fetch posts page from API, trying cache:', error);
+
+                // Page through the cached posts if a full list was cached earlier
+                var cachedPosts = StorageService.getCachedPosts();
+                if (cachedPosts) {
+                    console.info('Using cached posts data for page:', page);
+                    if (sort) {
+                        cachedPosts = Helpers.sortByField(cachedPosts, sort.key, sort.order);
+                    }
+                    return {
+                        posts: cachedPosts.slice((page - 1) * limit, page * limit),
+                        total: cachedPosts.length,
+                        page: page,
+                        limit: limit
+                    };
+                }
+
+                throw error;
             });
     }
 
     /**
      * Fetch a single post by ID
      * @param {number} postId - The post ID
+     * @param {Object} options - Request options (e.g. signal for cancellation)
      * @returns {Promise<Object>} Promise that resolves to post object
      */
-    function fetchPost(postId) {
-        return makeRequest(BASE_URL + '/posts/' + postId)
+    function fetchPost(postId, options) {
+        return request('/posts/' + postId, options)
             .catch(function(error) {
+                if (isAbortError(error)) throw error;
+
                 console.warn('Failed to fetch post from API, trying cache:', error);
                 
                 // Try to get from cached posts
@@ -82,18 +450,21 @@ var ApiService = (function() {
                     }
                 }
                 
-                throw new Error('Unable to fetch post: ' + error.message);
+                throw error;
             });
     }
 
     /**
      * Fetch posts by user ID
      * @param {number} userId - The user ID
+     * @param {Object} options - Request options (e.g. signal for cancellation)
      * @returns {Promise<Array>} Promise that resolves to array of posts
      */
-    function fetchPostsByUser(userId) {
-        return makeRequest(BASE_URL + '/posts?userId=' + userId)
+    function fetchPostsByUser(userId, options) {
+        return request('/posts?userId=' + userId, options)
             .catch(function(error) {
+                if (isAbortError(error)) throw error;
+
                 console.warn('Failed to fetch user posts from API, trying cache:', error);
                 
                 // Try to get from cached posts
@@ -108,84 +479,803 @@ var ApiService = (function() {
                     }
                 }
                 
-                throw new Error('Unable to fetch user posts: ' + error.message);
+                throw error;
             });
     }
 
     /**
-     * Fetch users data (for analytics)
+     * Fetch users, the authors of posts
+     * @param {Object} options - Request options (e.g. signal for cancellation)
      * @returns {Promise<Array>} Promise that resolves to array of users
      */
-    function fetchUsers() {
-        return makeRequest(BASE_URL + '/users')
+    function fetchUsers(options) {
+        return request('/users', options)
+            .then(function(users) {
+                // Authors are shown everywhere, keep them for offline use
+                StorageService.cacheUsers(users);
+                return users;
+            })
             .catch(function(error) {
-                console.warn('Failed to fetch users from API:', error);
-                throw new Error('Unable to fetch users: ' + error.message);
+                if (isAbortError(error)) throw error;
+
+                console.warn('Failed to fetch users from API, trying cache:', error);
+
+                var cachedUsers = StorageService.getCachedUsers();
+                if (cachedUsers) {
+                    console.info('Using cached users data');
+                    return cachedUsers;
+                }
+
+                throw error;
             });
     }
 
+    var MUTATION_METHODS = {
+        create: 'POST',
+        update: 'PUT',
+        patch: 'PATCH',
+        delete: 'DELETE'
+    };
+
     /**
-     * Simulate post update (JSONPlaceholder doesn't actually update data)
+     * Send a create/update/patch/delete request for a resource
+     * @param {Object} mutation - Mutation description
+     * @param {string} mutation.type - 'create', 'update', 'patch' or 'delete'
+     * @param {string} mutation.resource - Resource name (e.g. 'posts')
+     * @param {number|string} mutation.id - Record ID (ignored for create)
+     * @param {Object} mutation.data - Request payload
+     * @returns {Promise<Object>} Promise that resolves to response data
+     */
+    function sendMutation(mutation) {
+        var path = '/' + mutation.resource;
+        if (mutation.type !== 'create') {
+            path += '/' + mutation.id;
+        }
+
+        var options = {
+            method: MUTATION_METHODS[mutation.type]
+        };
+
+        if (mutation.data && mutation.type !== 'delete') {
+            options.body = JSON.stringify(mutation.data);
+        }
+
+        return request(path, options);
+    }
+
+    /**
+     * Send a mutation, falling back to the sync outbox when the API cannot
+     * be reached or earlier changes to the same record are still queued
+     * Mutations the API rejects stay in the outbox as failed, SyncService
+     * reports them to its rejection callbacks
+     * @param {Object} mutation - Mutation description
+     * @param {boolean} mutation.localOnly - The record was created locally, the
+     *                                       server only knows it by another ID
+     * @returns {Promise<Object|null>} Promise that resolves to response data, or null if queued
+     */
+    function submitMutation(mutation) {
+        // Queue behind earlier unsynced changes so they are replayed in order
+        if (SyncService.hasPending(mutation.resource, mutation.id)) {
+            SyncService.enqueue(mutation);
+            SyncService.replay();
+            return Promise.resolve(null);
+        }
+
+        // The create already reached the server, later changes can't address the record
+        if (mutation.localOnly && mutation.type !== 'create') {
+            return Promise.resolve(null);
+        }
+
+        return sendMutation(mutation)
+            .catch(function(error) {
+                if (!(error instanceof ApiError) || !error.isConnectivityError()) {
+                    console.warn('API rejected ' + mutation.type + ', keeping it for retry:', mutation.resource, mutation.id);
+                    SyncService.reject(mutation, error);
+                    return null;
+                }
+
+                SyncService.enqueue(mutation);
+                console.info('Queued ' + mutation.type + ' for sync due to API error:', mutation.resource, mutation.id);
+                return null;
+            });
+    }
+
+    /**
+     * Add a snapshot of a post to its revision history
+     * Partial edits without title and body can't be snapshotted, and saves that
+     * don't change the title or body aren't recorded again
+     * @param {number} postId - The post ID
+     * @param {Object} postData - Post data after the change
+     */
+    function recordRevision(postId, postData) {
+        if (typeof postData.title !== 'string' || typeof postData.body !== 'string') {
+            return;
+        }
+
+        var revisions = StorageService.getRevisions(postId);
+        var last = revisions[revisions.length - 1];
+        if (last && last.title === postData.title && last.body === postData.body) {
+            return;
+        }
+
+        var user = StorageService.getUser();
+        StorageService.addRevision(postId, {
+            title: postData.title,
+            body: postData.body,
+            userId: postData.userId,
+            author: user ? user.email : ''
+        });
+    }
+
+    /**
+     * Store post data locally, either on the locally created record or as an edit
+     * @param {number} postId - The post ID
+     * @param {Object} postData - Post data to store
+     * @param {Object} base - Server version to base the edit on (optional, a new
+     *                        edit starts from the server version seen last)
+     */
+    function saveLocalPost(postId, postData, base) {
+        var createdPost = StorageService.getCreatedPost(postId);
+        if (createdPost) {
+            postData = Object.assign({}, createdPost, postData);
+            StorageService.saveCreatedPost(postId, postData);
+        } else {
+            StorageService.saveEditedPost(postId, postData,
+                base || StorageService.getEditBase(postId) || getServerVersion(postId));
+        }
+
+        recordRevision(postId, postData);
+    }
+
+    /**
+     * Update a post (JSONPlaceholder doesn't actually update data)
+     * Edits are always kept locally; if the API cannot be reached the
+     * update is queued in the sync outbox and replayed later
      * @param {number} postId - The post ID
      * @param {Object} postData - The updated post data
      * @returns {Promise<Object>} Promise that resolves to updated post
      */
     function updatePost(postId, postData) {
-        var options = {
-            method: 'PUT',
-            body: JSON.stringify(postData)
-        };
+        // Since JSONPlaceholder doesn't actually update, we save to localStorage
+        saveLocalPost(postId, postData);
 
-        return makeRequest(BASE_URL + '/posts/' + postId, options)
-            .then(function(response) {
-                // Since JSONPlaceholder doesn't actually update, we save to localStorage
-                StorageService.saveEditedPost(postId, postData);
-                console.info('Post updated locally:', postId);
-                return response;
-            })
-            .catch(function(error) {
-                // Even if API fails, save locally
-                StorageService.saveEditedPost(postId, postData);
-                console.info('Post saved locally due to API error:', postId);
-                return postData;
+        return submitMutation({
+            type: 'update',
+            resource: 'posts',
+            id: postId,
+            data: postData,
+            localOnly: StorageService.isPostCreated(postId)
+        }).then(function(response) {
+            console.info('Post updated locally:', postId);
+            return response || postData;
+        });
+    }
+
+    /**
+     * Partially update a post with only the changed fields
+     * @param {number} postId - The post ID
+     * @param {Object} changes - Fields to change
+     * @returns {Promise<Object>} Promise that resolves to the applied changes
+     */
+    function patchPost(postId, changes) {
+        var editedData = StorageService.isPostCreated(postId) ? {} : StorageService.getEditedPost(postId);
+        saveLocalPost(postId, Object.assign({}, editedData, changes));
+
+        return submitMutation({
+            type: 'patch',
+            resource: 'posts',
+            id: postId,
+            data: changes,
+            localOnly: StorageService.isPostCreated(postId)
+        }).then(function() {
+            console.info('Post patched locally:', postId);
+            return changes;
+        });
+    }
+
+    /**
+     * Create a new post
+     * JSONPlaceholder fakes the created ID, so the post keeps a locally
+     * reserved ID and is stored alongside the cached server posts
+     * @param {Object} postData - Post data without ID
+     * @returns {Promise<Object>} Promise that resolves to the created post
+     */
+    function createPost(postData) {
+        var cachedPosts = StorageService.getCachedPosts();
+        var knownPosts = cachedPosts ?
+            Promise.resolve(cachedPosts) :
+            fetchPosts().catch(function() { return []; });
+
+        return knownPosts.then(function(posts) {
+            var postId = StorageService.nextPostId(posts.map(function(p) { return p.id; }));
+            var newPost = Object.assign({}, postData, { id: postId });
+
+            StorageService.saveCreatedPost(postId, newPost);
+            recordRevision(postId, newPost);
+
+            return submitMutation({
+                type: 'create',
+                resource: 'posts',
+                id: postId,
+                data: postData
+            }).then(function() {
+                console.info('Post created locally:', postId);
+                return newPost;
             });
+        });
     }
 
     /**
-     * Get post data with local edits merged
+     * Delete a post
+     * Server posts are tombstoned so they stay hidden after the cache refreshes
      * @param {number} postId - The post ID
-     * @returns {Promise<Object>} Promise that resolves to post with edits
+     * @returns {Promise<Object>} Promise that resolves once the post is removed locally
      */
-    function getPostWithEdits(postId) {
-        return fetchPost(postId)
-            .then(function(originalPost) {
-                var editedData = StorageService.getEditedPost(postId);
-                
-                if (editedData) {
-                    // Merge edited data with original
-                    return Object.assign({}, originalPost, editedData);
+    function deletePost(postId) {
+        var isCreated = StorageService.isPostCreated(postId);
+        if (isCreated) {
+            StorageService.removeCreatedPost(postId);
+        } else {
+            StorageService.markPostDeleted(postId);
+        }
+        StorageService.removeEditedPost(postId);
+        StorageService.removeRevisions(postId);
+
+        return submitMutation({
+            type: 'delete',
+            resource: 'posts',
+            id: postId,
+            localOnly: isCreated
+        }).then(function() {
+            console.info('Post deleted locally:', postId);
+            return { id: postId, deleted: true };
+        });
+    }
+
+    /**
+     * Discard local edits of a server post, including edits still waiting to sync
+     * @param {number} postId - The post ID
+     * @returns {Promise<Object>} Promise that resolves to the original post
+     */
+    function revertPost(postId) {
+        StorageService.removeEditedPost(postId);
+        SyncService.discardPending('posts', postId, ['update', 'patch']);
+        console.info('Post edits reverted locally:', postId);
+
+        return fetchPost(postId);
+    }
+
+    /**
+     * Get the last server version seen of a post
+     * @param {number} postId - The post ID
+     * @returns {Object|null} Server post, from the posts cache if it wasn't loaded
+     */
+    function getServerVersion(postId) {
+        if (serverPosts[postId]) {
+            return serverPosts[postId];
+        }
+
+        var cachedPosts = StorageService.getCachedPosts() || [];
+        return cachedPosts.find(function(p) { return p.id === postId; }) || null;
+    }
+
+    /**
+     * Merge the local edit of a post into its server version
+     * Fields the user didn't change since the edit's base follow the server,
+     * so remote changes to them aren't hidden by the edit
+     * @param {Object} post - Post from the server
+     * @returns {Object} Post with edits merged
+     */
+    function mergeEdits(post) {
+        serverPosts[post.id] = post;
+
+        var editedData = StorageService.getEditedPost(post.id);
+        if (!editedData) {
+            return post;
+        }
+
+        var merged = Object.assign({}, post, editedData);
+        var base = StorageService.getEditBase(post.id);
+        if (base) {
+            MERGE_FIELDS.forEach(function(field) {
+                if (editedData[field] === base[field]) {
+                    merged[field] = post[field];
                 }
-                
-                return originalPost;
             });
+        }
+
+        return merged;
     }
 
     /**
-     * Get all posts with local edits merged
+     * Find fields changed both locally and on the server since the edit was made
+     * Compares against the server version seen by the last load of the post
+     * @param {number} postId - The post ID
+     * @returns {Object|null} Conflict as { base, local, server, fields }, null if there is none
+     */
+    function getPostConflict(postId) {
+        var editedData = StorageService.getEditedPost(postId);
+        var base = StorageService.getEditBase(postId);
+        var server = serverPosts[postId];
+
+        if (!editedData || !base || !server) {
+            return null;
+        }
+
+        var fields = MERGE_FIELDS.filter(function(field) {
+            return field in editedData &&
+                editedData[field] !== base[field] &&
+                server[field] !== base[field] &&
+                editedData[field] !== server[field];
+        });
+
+        return fields.length > 0 ? {
+            base: base,
+            local: editedData,
+            server: server,
+            fields: fields
+        } : null;
+    }
+
+    /**
+     * Resolve a conflict with the chosen values of the conflicting fields
+     * The edit is rebased on the current server version and queued again;
+     * when nothing differs from the server any more the edit is dropped
+     * @param {number} postId - The post ID
+     * @param {Object} values - Chosen field values
+     * @returns {Promise<Object>} Promise that resolves to the merged post
+     */
+    function resolvePostConflict(postId, values) {
+        var server = serverPosts[postId];
+        if (!server) {
+            return Promise.reject(new Error('Server version of post ' + postId + ' is not loaded'));
+        }
+
+        var postData = Object.assign(mergeEdits(server), values);
+        SyncService.discardPending('posts', postId, ['update', 'patch']);
+
+        var differsFromServer = Object.keys(postData).some(function(key) {
+            return postData[key] !== server[key];
+        });
+
+        if (!differsFromServer) {
+            StorageService.removeEditedPost(postId);
+            console.info('Post conflict resolved with the server version:', postId);
+            return Promise.resolve(server);
+        }
+
+        saveLocalPost(postId, postData, server);
+
+        return submitMutation({
+            type: 'update',
+            resource: 'posts',
+            id: postId,
+            data: postData
+        }).then(function() {
+            console.info('Post conflict resolved locally:', postId);
+            return postData;
+        });
+    }
+
+    /**
+     * Get post data with local edits merged
+     * @param {number} postId - The post ID
+     * @param {Object} options - Request options (e.g. signal for cancellation)
+     * @returns {Promise<Object>} Promise that resolves to post with edits
+     */
+    function getPostWithEdits(postId, options) {
+        if (StorageService.isPostDeleted(postId)) {
+            return Promise.reject(new ApiError(ERROR_TYPES.HTTP, 'Post ' + postId + ' has been deleted', {
+                status: 404
+            }));
+        }
+
+        var createdPost = StorageService.getCreatedPost(postId);
+        if (createdPost) {
+            return Promise.resolve(createdPost);
+        }
+
+        return fetchPost(postId, options).then(mergeEdits);
+    }
+
+    /**
+     * Get all posts with local edits, deletions and created posts merged
+     * @param {Object} options - Request options (e.g. signal for cancellation)
      * @returns {Promise<Array>} Promise that resolves to posts array with edits
      */
-    function getPostsWithEdits() {
-        return fetchPosts()
+    function getPostsWithEdits(options) {
+        return fetchPosts(options)
             .then(function(originalPosts) {
-                var editedPostIds = StorageService.getEditedPostIds();
+                var deletedPostIds = StorageService.getDeletedPostIds();
                 
-                return originalPosts.map(function(post) {
-                    if (editedPostIds.includes(post.id)) {
-                        var editedData = StorageService.getEditedPost(post.id);
-                        return Object.assign({}, post, editedData);
-                    }
-                    return post;
+                return originalPosts
+                    .filter(function(post) {
+                        return !deletedPostIds.includes(post.id);
+                    })
+                    .map(mergeEdits)
+                    .concat(StorageService.getCreatedPosts());
+            });
+    }
+
+    /**
+     * Get one page of posts with local edits and deletions merged
+     * Locally created posts are appended after the last server page
+     * @param {number} page - Page number, starting at 1
+     * @param {number} limit - Posts per page
+     * @param {Object} options - Request options (e.g. signal for cancellation), and sort as for fetchPostsPage
+     * @returns {Promise<Object>} Promise that resolves to { posts, total, page, limit, hasMore }
+     */
+    function getPostsPageWithEdits(page, limit, options) {
+        return fetchPostsPage(page, limit, options)
+            .then(function(result) {
+                var deletedPostIds = StorageService.getDeletedPostIds();
+                var createdPosts = StorageService.getCreatedPosts();
+                var isLastPage = page * limit >= result.total;
+
+                var posts = result.posts
+                    .filter(function(post) {
+                        return !deletedPostIds.includes(post.id);
+                    })
+                    .map(mergeEdits);
+
+                return {
+                    posts: isLastPage ? posts.concat(createdPosts) : posts,
+                    total: result.total - deletedPostIds.length + createdPosts.length,
+                    page: page,
+                    limit: limit,
+                    hasMore: !isLastPage
+                };
+            });
+    }
+
+    /**
+     * Get the posts of a user with local edits, deletions and created posts merged
+     * Posts follow their author: a local reassignment moves them between users
+     * @param {number} userId - The user ID
+     * @param {Object} options - Request options (e.g. signal for cancellation)
+     * @returns {Promise<Array>} Promise that resolves to the user's posts with edits
+     */
+    function getUserPostsWithEdits(userId, options) {
+        userId = parseInt(userId);
+
+        return fetchPostsByUser(userId, options)
+            .then(function(originalPosts) {
+                var deletedPostIds = StorageService.getDeletedPostIds();
+                var posts = originalPosts
+                    .filter(function(post) {
+                        return !deletedPostIds.includes(post.id);
+                    })
+                    .map(mergeEdits);
+
+                // Posts of other users locally reassigned to this one
+                var reassignedIds = StorageService.getEditedPostIds().filter(function(postId) {
+                    var editedData = StorageService.getEditedPost(postId);
+                    return editedData && editedData.userId === userId &&
+                        !deletedPostIds.includes(postId) &&
+                        !posts.some(function(post) { return post.id === postId; });
+                });
+
+                // A reassigned post that fails to load is left out instead of failing the page
+                return Promise.all(reassignedIds.map(function(postId) {
+                    return getPostWithEdits(postId, options)
+                        .catch(function(error) {
+                            if (isAbortError(error)) throw error;
+                            console.warn('Failed to load reassigned post ' + postId + ':', error);
+                            return null;
+                        });
+                })).then(function(reassignedPosts) {
+                    return posts.concat(reassignedPosts.filter(Boolean), StorageService.getCreatedPosts());
                 });
+            })
+            .then(function(posts) {
+                return posts.filter(function(post) {
+                    return post.userId === userId;
+                });
+            });
+    }
+
+    /**
+     * Fetch comments for a post
+     * @param {number} postId - The post ID
+     * @param {Object} options - Request options (e.g. signal for cancellation)
+     * @returns {Promise<Array>} Promise that resolves to array of comments
+     */
+    function fetchComments(postId, options) {
+        // Locally created posts don't exist on the server, so they have no remote comments
+        if (StorageService.isPostCreated(postId)) {
+            return Promise.resolve([]);
+        }
+
+        return request('/posts/' + postId + '/comments', options)
+            .catch(function(error) {
+                if (!isAbortError(error)) {
+                    console.warn('Failed to fetch comments from API:', error);
+                }
+                throw error;
+            });
+    }
+
+    /**
+     * Merge local edits, deletions and created comments into server comments
+     * @param {Array} originalComments - Comments from the API
+     * @param {number} postId - Limit created comments to this post (omit for all)
+     * @returns {Array} Comments with local changes applied
+     */
+    function mergeLocalComments(originalComments, postId) {
+        var deletedCommentIds = StorageService.getDeletedCommentIds();
+
+        return originalComments
+            .filter(function(comment) {
+                return !deletedCommentIds.includes(comment.id);
+            })
+            .map(function(comment) {
+                var editedData = StorageService.getEditedComment(comment.id);
+                return editedData ? Object.assign({}, comment, editedData) : comment;
+            })
+            .concat(StorageService.getCreatedComments(postId));
+    }
+
+    /**
+     * Get comments for a post with local edits, deletions and created comments merged
+     * @param {number} postId - The post ID
+     * @param {Object} options - Request options (e.g. signal for cancellation)
+     * @returns {Promise<Array>} Promise that resolves to comments array with edits
+     */
+    function getCommentsWithEdits(postId, options) {
+        return fetchComments(postId, options)
+            .then(function(originalComments) {
+                return mergeLocalComments(originalComments, postId);
+            });
+    }
+
+    /**
+     * Count comments per post, including local changes
+     * @param {Object} options - Request options (e.g. signal for cancellation)
+     * @returns {Promise<Object>} Promise that resolves to a map of post ID to comment count
+     */
+    function getCommentCounts(options) {
+        return request('/comments', options)
+            .catch(function(error) {
+                if (isAbortError(error)) throw error;
+
+                // Counts for local comments are still useful without the API
+                console.warn('Failed to fetch comments from API, counting local comments only:', error);
+                return [];
+            })
+            .then(function(originalComments) {
+                return mergeLocalComments(originalComments).reduce(function(counts, comment) {
+                    counts[comment.postId] = (counts[comment.postId] || 0) + 1;
+                    return counts;
+                }, {});
+            });
+    }
+
+    /**
+     * Add a comment to a post
+     * Comments get a timestamp based local ID so they can't collide with server comments
+     * @param {number} postId - The post ID
+     * @param {Object} commentData - Comment data (name, email, body)
+     * @returns {Promise<Object>} Promise that resolves to the created comment
+     */
+    function createComment(postId, commentData) {
+        var commentId = Date.now();
+        var newComment = Object.assign({}, commentData, {
+            id: commentId,
+            postId: parseInt(postId)
+        });
+
+        StorageService.saveCreatedComment(commentId, newComment);
+
+        return submitMutation({
+            type: 'create',
+            resource: 'comments',
+            id: commentId,
+            data: Object.assign({}, commentData, { postId: newComment.postId })
+        }).then(function() {
+            console.info('Comment created locally:', commentId);
+            return newComment;
+        });
+    }
+
+    /**
+     * Update a comment
+     * @param {number} commentId - The comment ID
+     * @param {Object} changes - Changed fields (e.g. body)
+     * @returns {Promise<Object>} Promise that resolves to the applied changes
+     */
+    function updateComment(commentId, changes) {
+        var createdComment = StorageService.getCreatedComment(commentId);
+        if (createdComment) {
+            StorageService.saveCreatedComment(commentId, Object.assign({}, createdComment, changes));
+        } else {
+            StorageService.saveEditedComment(commentId,
+                Object.assign({}, StorageService.getEditedComment(commentId), changes));
+        }
+
+        return submitMutation({
+            type: 'patch',
+            resource: 'comments',
+            id: commentId,
+            data: changes,
+            localOnly: !!createdComment
+        }).then(function() {
+            console.info('Comment updated locally:', commentId);
+            return changes;
+        });
+    }
+
+    /**
+     * Delete a comment
+     * @param {number} commentId - The comment ID
+     * @returns {Promise<Object>} Promise that resolves once the comment is removed locally
+     */
+    function deleteComment(commentId) {
+        var isCreated = !!StorageService.getCreatedComment(commentId);
+        if (isCreated) {
+            StorageService.removeCreatedComment(commentId);
+        } else {
+            StorageService.markCommentDeleted(commentId);
+        }
+        StorageService.removeEditedComment(commentId);
+
+        return submitMutation({
+            type: 'delete',
+            resource: 'comments',
+            id: commentId,
+            localOnly: isCreated
+        }).then(function() {
+            console.info('Comment deleted locally:', commentId);
+            return { id: commentId, deleted: true };
+        });
+    }
+
+    /**
+     * Fetch the todos of a user
+     * @param {number} userId - The user ID
+     * @param {Object} options - Request options (e.g. signal for cancellation)
+     * @returns {Promise<Array>} Promise that resolves to array of todos
+     */
+    function fetchTodos(userId, options) {
+        return request('/todos?userId=' + userId, options)
+            .catch(function(error) {
+                if (!isAbortError(error)) {
+                    console.warn('Failed to fetch todos from API:', error);
+                }
+                throw error;
+            });
+    }
+
+    /**
+     * Get the todos of a user with local edits, deletions and created todos merged
+     * @param {number} userId - The user ID
+     * @param {Object} options - Request options (e.g. signal for cancellation)
+     * @returns {Promise<Array>} Promise that resolves to todos array with edits
+     */
+    function getTodosWithEdits(userId, options) {
+        return fetchTodos(userId, options)
+            .then(function(originalTodos) {
+                var deletedTodoIds = StorageService.getDeletedTodoIds();
+
+                return originalTodos
+                    .filter(function(todo) {
+                        return !deletedTodoIds.includes(todo.id);
+                    })
+                    .map(function(todo) {
+                        var editedData = StorageService.getEditedTodo(todo.id);
+                        return editedData ? Object.assign({}, todo, editedData) : todo;
+                    })
+                    .concat(StorageService.getCreatedTodos(userId));
+            });
+    }
+
+    /**
+     * Add a todo for a user
+     * Todos get a timestamp based local ID so they can't collide with server todos
+     * @param {number} userId - The user ID
+     * @param {Object} todoData - Todo data (title, completed)
+     * @returns {Promise<Object>} Promise that resolves to the created todo
+     */
+    function createTodo(userId, todoData) {
+        var todoId = Date.now();
+        var newTodo = Object.assign({ completed: false }, todoData, {
+            id: todoId,
+            userId: parseInt(userId)
+        });
+
+        StorageService.saveCreatedTodo(todoId, newTodo);
+
+        return submitMutation({
+            type: 'create',
+            resource: 'todos',
+            id: todoId,
+            data: { userId: newTodo.userId, title: newTodo.title, completed: newTodo.completed }
+        }).then(function() {
+            console.info('Todo created locally:', todoId);
+            return newTodo;
+        });
+    }
+
+    /**
+     * Update a todo
+     * @param {number} todoId - The todo ID
+     * @param {Object} changes - Changed fields (title, completed)
+     * @returns {Promise<Object>} Promise that resolves to the applied changes
+     */
+    function updateTodo(todoId, changes) {
+        var createdTodo = StorageService.getCreatedTodo(todoId);
+        if (createdTodo) {
+            StorageService.saveCreatedTodo(todoId, Object.assign({}, createdTodo, changes));
+        } else {
+            StorageService.saveEditedTodo(todoId,
+                Object.assign({}, StorageService.getEditedTodo(todoId), changes));
+        }
+
+        return submitMutation({
+            type: 'patch',
+            resource: 'todos',
+            id: todoId,
+            data: changes,
+            localOnly: !!createdTodo
+        }).then(function() {
+            console.info('Todo updated locally:', todoId);
+            return changes;
+        });
+    }
+
+    /**
+     * Delete a todo
+     * @param {number} todoId - The todo ID
+     * @returns {Promise<Object>} Promise that resolves once the todo is removed locally
+     */
+    function deleteTodo(todoId) {
+        var isCreated = !!StorageService.getCreatedTodo(todoId);
+        if (isCreated) {
+            StorageService.removeCreatedTodo(todoId);
+        } else {
+            StorageService.markTodoDeleted(todoId);
+        }
+        StorageService.removeEditedTodo(todoId);
+
+        return submitMutation({
+            type: 'delete',
+            resource: 'todos',
+            id: todoId,
+            localOnly: isCreated
+        }).then(function() {
+            console.info('Todo deleted locally:', todoId);
+            return { id: todoId, deleted: true };
+        });
+    }
+
+    /**
+     * Fetch the photo albums of a user
+     * @param {number} userId - The user ID
+     * @param {Object} options - Request options (e.g. signal for cancellation)
+     * @returns {Promise<Array>} Promise that resolves to array of albums
+     */
+    function fetchAlbums(userId, options) {
+        return request('/albums?userId=' + userId, options)
+            .catch(function(error) {
+                if (!isAbortError(error)) {
+                    console.warn('Failed to fetch albums from API:', error);
+                }
+                throw error;
+            });
+    }
+
+    /**
+     * Fetch the photos of an album
+     * @param {number} albumId - The album ID
+     * @param {Object} options - Request options (e.g. signal for cancellation)
+     * @returns {Promise<Array>} Promise that resolves to array of photos
+     */
+    function fetchPhotos(albumId, options) {
+        return request('/albums/' + albumId + '/photos', options)
+            .catch(function(error) {
+                if (!isAbortError(error)) {
+                    console.warn('Failed to fetch photos from API:', error);
+                }
+                throw error;
             });
     }
 
@@ -194,13 +1284,7 @@ var ApiService = (function() {
      * @returns {Promise<boolean>} Promise that resolves to connectivity status
      */
     function checkConnectivity() {
-        return fetch(BASE_URL + '/posts/1', { method: 'HEAD' })
-            .then(function(response) {
-                return response.ok;
-            })
-            .catch(function() {
-                return false;
-            });
+        return getAdapter().ping();
     }
 
     /**
@@ -217,7 +1301,8 @@ var ApiService = (function() {
                 return {
                     online: isOnline,
                     responseTime: responseTime,
-                    baseUrl: BASE_URL,
+                    backend: getAdapter().name,
+                    baseUrl: getAdapter().describe(),
                     timestamp: new Date().toISOString()
                 };
             });
@@ -231,12 +1316,13 @@ var ApiService = (function() {
      * @returns {Promise} Promise that resolves to request result
      */
     function retryRequest(requestFn, maxRetries, delay) {
-        maxRetries = maxRetries || 3;
+        maxRetries = maxRetries !== undefined ? maxRetries : 3;
         delay = delay || 1000;
 
         return requestFn()
             .catch(function(error) {
-                if (maxRetries <= 0) {
+                // Cancelled requests and client errors won't succeed on a retry
+                if (maxRetries <= 0 || (error instanceof ApiError && !error.isRetryable())) {
                     throw error;
                 }
 
@@ -253,24 +1339,63 @@ var ApiService = (function() {
     return {
         // Core API methods
         fetchPosts: fetchPosts,
+        fetchPostsPage: fetchPostsPage,
         fetchPost: fetchPost,
         fetchPostsByUser: fetchPostsByUser,
         fetchUsers: fetchUsers,
+        fetchComments: fetchComments,
         updatePost: updatePost,
+        patchPost: patchPost,
+        createPost: createPost,
+        deletePost: deletePost,
+        revertPost: revertPost,
+        resolvePostConflict: resolvePostConflict,
+        createComment: createComment,
+        updateComment: updateComment,
+        deleteComment: deleteComment,
+        fetchTodos: fetchTodos,
+        createTodo: createTodo,
+        updateTodo: updateTodo,
+        deleteTodo: deleteTodo,
+        fetchAlbums: fetchAlbums,
+        fetchPhotos: fetchPhotos,
+        sendMutation: sendMutation,
 
         // Enhanced methods with local storage integration
         getPostWithEdits: getPostWithEdits,
         getPostsWithEdits: getPostsWithEdits,
+        getPostsPageWithEdits: getPostsPageWithEdits,
+        getUserPostsWithEdits: getUserPostsWithEdits,
+        getPostConflict: getPostConflict,
+        getCommentsWithEdits: getCommentsWithEdits,
+        getCommentCounts: getCommentCounts,
+        getTodosWithEdits: getTodosWithEdits,
 
         // Utility methods
         checkConnectivity: checkConnectivity,
         getApiStatus: getApiStatus,
         retryRequest: retryRequest,
 
-        // Generic request method for custom endpoints
+        // Backend configuration
+        configure: configure,
+        getAdapter: getAdapter,
+
+        // Generic request methods for custom endpoints
+        request: request,
         makeRequest: makeRequest,
 
+        // Interceptors
+        addRequestInterceptor: addRequestInterceptor,
+        addResponseInterceptor: addResponseInterceptor,
+        addErrorInterceptor: addErrorInterceptor,
+        removeInterceptor: removeInterceptor,
+
+        // Errors
+        ApiError: ApiError,
+        isAbortError: isAbortError,
+
         // Constants
-        BASE_URL: BASE_URL
+        BASE_URL: BASE_URL,
+        ERROR_TYPES: ERROR_TYPES
     };
 })();
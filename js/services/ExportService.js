@@ -0,0 +1,359 @@
+/**
+ * ExportService - Turns posts into downloadable files
+ * Supports the re-importable JSON dump, CSV, a ZIP bundle of Markdown files
+ * (one per post) and a print-optimised HTML page
+ */
+var ExportService = (function() {
+    'use strict';
+
+    var FORMATS = {
+        JSON: 'json',
+        CSV: 'csv',
+        MARKDOWN: 'markdown',
+        PRINT: 'print'
+    };
+
+    // Column order matches what ImportService reads back
+    var CSV_COLUMNS = ['id', 'userId', 'author', 'title', 'body'];
+
+    var crcTable = null;
+
+    /**
+     * Date stamp used in file names
+     * @returns {string} Date as YYYY-MM-DD
+     */
+    function dateStamp() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    /**
+     * Make a file-name-safe slug from a title
+     * @param {string} text - Text to slugify
+     * @returns {string} Slug
+     */
+    function slugify(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .substring(0, 50) || 'untitled';
+    }
+
+    /**
+     * Get the author label of a post
+     * @param {Object} post - Post object
+     * @param {Object} options - Export options
+     * @returns {string} Author name, or the user ID without a lookup
+     */
+    function authorOf(post, options) {
+        return options.getAuthorName ? options.getAuthorName(post.userId) : 'User ' + post.userId;
+    }
+
+    /**
+     * Build the JSON dump written by the original export, including raw local edits
+     * @param {Array} posts - Posts to export
+     * @param {Object} options - Export options (userEmail)
+     * @returns {string} JSON text
+     */
+    function toJson(posts, options) {
+        var postsData = {
+            posts: posts,
+            editedPosts: StorageService.getEditedPostIds().filter(function(id) {
+                return posts.some(function(post) { return post.id === id; });
+            }).map(function(id) {
+                return {
+                    id: id,
+                    data: StorageService.getEditedPost(id)
+                };
+            }),
+            exportDate: new Date().toISOString(),
+            userEmail: options.userEmail || ''
+        };
+
+        return JSON.stringify(postsData, null, 2);
+    }
+
+    /**
+     * Quote a CSV field when it contains delimiters, quotes or line breaks
+     * @param {*} value - Field value
+     * @returns {string} CSV field
+     */
+    function csvField(value) {
+        var text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    }
+
+    /**
+     * Build CSV with a header row
+     * @param {Array} posts - Posts to export (edits already merged)
+     * @param {Object} options - Export options (getAuthorName)
+     * @returns {string} CSV text
+     */
+    function toCsv(posts, options) {
+        var rows = posts.map(function(post) {
+            var values = {
+                id: post.id,
+                userId: post.userId,
+                author: authorOf(post, options),
+                title: post.title,
+                body: post.body
+            };
+            return CSV_COLUMNS.map(function(column) {
+                return csvField(values[column]);
+            }).join(',');
+        });
+
+        // The byte order mark makes spreadsheet tools read the file as UTF-8
+        return '\uFEFF' + [CSV_COLUMNS.join(',')].concat(rows).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Build a Markdown document for a post, with front matter for the metadata
+     * @param {Object} post - Post object
+     * @param {Object} options - Export options (getAuthorName)
+     * @returns {string} Markdown text
+     */
+    function toMarkdown(post, options) {
+        return [
+            '---',
+            'id: ' + post.id,
+            'userId: ' + post.userId,
+            'author: ' + JSON.stringify(authorOf(post, options)),
+            'title: ' + JSON.stringify(post.title || ''),
+            '---',
+            '',
+            '# ' + (post.title || ''),
+            '',
+            post.body || '',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * CRC-32 checksum as used by ZIP
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} Unsigned checksum
+     */
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = [];
+            for (var n = 0; n < 256; n++) {
+                var c = n;
+                for (var k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        var crc = 0xFFFFFFFF;
+        for (var i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Build an uncompressed ZIP archive
+     * @param {Array} files - Files as { name, content } with string content
+     * @returns {Blob} ZIP file
+     */
+    function createZip(files) {
+        var encoder = new TextEncoder();
+        var now = new Date();
+        var dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        var dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        var parts = [];
+        var centralParts = [];
+        var offset = 0;
+
+        files.forEach(function(file) {
+            var name = encoder.encode(file.name);
+            var data = encoder.encode(file.content);
+            var crc = crc32(data);
+
+            // Local file header
+            var local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true); // UTF-8 file names
+            local.setUint16(8, 0, true); // Stored, no compression
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);
+
+            // Central directory entry
+            var central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, dosTime, true);
+            central.setUint16(14, dosDate, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+
+            parts.push(local.buffer, name, data);
+            centralParts.push(central.buffer, name);
+            offset += 30 + name.length + data.length;
+        });
+
+        var centralSize = centralParts.reduce(function(size, part) {
+            return size + part.byteLength;
+        }, 0);
+
+        // End of central directory record
+        var end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob(parts.concat(centralParts, [end.buffer]), { type: 'application/zip' });
+    }
+
+    /**
+     * Build the Markdown bundle, one file per post
+     * @param {Array} posts - Posts to export
+     * @param {Object} options - Export options (getAuthorName)
+     * @returns {Blob} ZIP file
+     */
+    function toMarkdownZip(posts, options) {
+        return createZip(posts.map(function(post) {
+            return {
+                name: 'post-' + post.id + '-' + slugify(post.title) + '.md',
+                content: toMarkdown(post, options)
+            };
+        }));
+    }
+
+    /**
+     * Build a standalone HTML page laid out for printing
+     * @param {Array} posts - Posts to export
+     * @param {Object} options - Export options (title, getAuthorName)
+     * @returns {string} HTML document
+     */
+    function toPrintHtml(posts, options) {
+        var title = options.title || 'Posts';
+        var articles = posts.map(function(post) {
+            return '<article>' +
+                '<h2>' + Helpers.escapeHtml(post.title) + '</h2>' +
+                '<p class="meta">Post #' + post.id + ' &middot; ' + Helpers.escapeHtml(authorOf(post, options)) + '</p>' +
+                '<div class="body">' + Markdown.toHtml(post.body) + '</div>' +
+                '</article>';
+        }).join('\n');
+
+        return '<!DOCTYPE html>\n' +
+            '<html lang="en">\n<head>\n<meta charset="UTF-8">\n' +
+            '<title>' + Helpers.escapeHtml(title) + '</title>\n' +
+            '<style>\n' +
+            'body { font-family: Georgia, serif; max-width: 46rem; margin: 2rem auto; color: #000; }\n' +
+            'header { border-bottom: 2px solid #000; margin-bottom: 1.5rem; }\n' +
+            'article { page-break-inside: avoid; break-inside: avoid; margin-bottom: 2rem; }\n' +
+            'h2 { font-size: 1.3rem; margin-bottom: 0.25rem; }\n' +
+            '.meta { color: #555; font-size: 0.85rem; margin-top: 0; }\n' +
+            '.body { line-height: 1.5; }\n' +
+            'pre { white-space: pre-wrap; }\n' +
+            '@page { margin: 2cm; }\n' +
+            '@media print { body { margin: 0; max-width: none; } }\n' +
+            '</style>\n</head>\n<body>\n' +
+            '<header><h1>' + Helpers.escapeHtml(title) + '</h1>' +
+            '<p class="meta">' + posts.length + ' post(s) &middot; ' + Helpers.formatDate(new Date()) + '</p></header>\n' +
+            articles + '\n</body>\n</html>\n';
+    }
+
+    /**
+     * Save a file through a temporary download link
+     * @param {Blob|string} content - File contents
+     * @param {string} fileName - File name
+     * @param {string} type - MIME type for string content
+     */
+    function download(content, fileName, type) {
+        var blob = content instanceof Blob ? content : new Blob([content], { type: type });
+        var url = URL.createObjectURL(blob);
+
+        var link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+
+        // Give the browser time to start the download
+        setTimeout(function() {
+            URL.revokeObjectURL(url);
+        }, 1000);
+    }
+
+    /**
+     * Open the printable page in a new window and show the print dialog
+     * @param {string} html - HTML document
+     */
+    function openPrintView(html) {
+        var printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            throw new Error('Pop-up blocked, allow pop-ups to print');
+        }
+
+        printWindow.document.open();
+        printWindow.document.write(html);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+    }
+
+    /**
+     * Export posts in the given format
+     * @param {Array} posts - Posts with local edits merged
+     * @param {string} format - One of FORMATS
+     * @param {Object} options - File name prefix, title, userEmail and getAuthorName
+     */
+    function exportPosts(posts, format, options) {
+        options = options || {};
+        var fileName = (options.fileName || 'posts-export') + '-' + dateStamp();
+
+        switch (format) {
+            case FORMATS.JSON:
+                download(toJson(posts, options), fileName + '.json', 'application/json');
+                break;
+            case FORMATS.CSV:
+                download(toCsv(posts, options), fileName + '.csv', 'text/csv;charset=utf-8');
+                break;
+            case FORMATS.MARKDOWN:
+                download(toMarkdownZip(posts, options), fileName + '-markdown.zip');
+                break;
+            case FORMATS.PRINT:
+                openPrintView(toPrintHtml(posts, options));
+                break;
+            default:
+                throw new Error('Unknown export format: ' + format);
+        }
+    }
+
+    // Public API
+    return {
+        FORMATS: FORMATS,
+
+        // Formats
+        toJson: toJson,
+        toCsv: toCsv,
+        toMarkdown: toMarkdown,
+        toMarkdownZip: toMarkdownZip,
+        toPrintHtml: toPrintHtml,
+        createZip: createZip,
+
+        // Output
+        download: download,
+        exportPosts: exportPosts
+    };
+})();
@@ -0,0 +1,262 @@
+/**
+ * ImportService - Loads posts back from exported JSON files and CSV
+ * Parses and validates the records of a file, compares them with the current
+ * posts (dry run) and applies the chosen records as local edits or new posts
+ */
+var ImportService = (function() {
+    'use strict';
+
+    var STATUS = {
+        NEW: 'new',
+        CHANGED: 'changed',
+        CONFLICT: 'conflict',
+        UNCHANGED: 'unchanged',
+        INVALID: 'invalid'
+    };
+
+    // Fields a post record is made of
+    var FIELDS = ['id', 'userId', 'title', 'body'];
+
+    var MAX_TITLE_LENGTH = 200;
+
+    /**
+     * Parse a file exported by PostsListViewModel.exportPosts, or a plain array of posts
+     * @param {string} text - JSON text
+     * @returns {Object} Parsed file with records and exportDate
+     */
+    function parseJson(text) {
+        var data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not valid JSON: ' + error.message);
+        }
+
+        var records = Array.isArray(data) ? data : data && data.posts;
+        if (!Array.isArray(records)) {
+            throw new Error('JSON file has no posts array');
+        }
+
+        return {
+            records: records,
+            exportDate: data.exportDate ? Date.parse(data.exportDate) || null : null
+        };
+    }
+
+    /**
+     * Parse CSV with a header row naming the post fields
+     * @param {string} text - CSV text
+     * @returns {Object} Parsed file with records and exportDate
+     */
+    function parseCsv(text) {
+        var rows = Helpers.parseCsv(text);
+        if (rows.length === 0) {
+            throw new Error('CSV file is empty');
+        }
+
+        var header = rows[0].map(function(name) {
+            name = name.trim().toLowerCase();
+            return name === 'userid' ? 'userId' : name;
+        });
+
+        if (header.indexOf('title') === -1 || header.indexOf('body') === -1) {
+            throw new Error('CSV header must contain title and body columns');
+        }
+
+        var records = rows.slice(1).map(function(row) {
+            var record = {};
+            header.forEach(function(name, index) {
+                if (FIELDS.indexOf(name) !== -1 && index < row.length) {
+                    record[name] = row[index];
+                }
+            });
+            return record;
+        });
+
+        return { records: records, exportDate: null };
+    }
+
+    /**
+     * Parse an import file, the format is picked from the file name
+     * @param {string} text - File contents
+     * @param {string} fileName - File name (.json or .csv)
+     * @returns {Object} Parsed file with records and exportDate
+     */
+    function parse(text, fileName) {
+        var isCsv = /\.csv$/i.test(fileName || '');
+        return isCsv ? parseCsv(text) : parseJson(text);
+    }
+
+    /**
+     * Parse a value as a positive integer
+     * @param {*} value - Value from the file
+     * @returns {number|null} Integer, or null if it isn't one
+     */
+    function toId(value) {
+        var id = Number(String(value).trim());
+        return Number.isInteger(id) && id > 0 ? id : null;
+    }
+
+    /**
+     * Validate a record and normalize its fields
+     * @param {Object} record - Record from the file
+     * @returns {Object} Result with post (normalized fields) and errors
+     */
+    function validateRecord(record) {
+        var errors = [];
+        var post = {};
+
+        if (!record || typeof record !== 'object') {
+            return { post: post, errors: ['Record is not an object'] };
+        }
+
+        if (record.id !== undefined && String(record.id).trim() !== '') {
+            post.id = toId(record.id);
+            if (post.id === null) errors.push('ID must be a positive integer');
+        }
+
+        post.userId = toId(record.userId);
+        if (post.userId === null) errors.push('User ID must be a positive integer');
+
+        post.title = typeof record.title === 'string' ? record.title.trim() : '';
+        var titleValidation = Helpers.validateField(post.title, 'Title', {
+            required: true,
+            maxLength: MAX_TITLE_LENGTH
+        });
+        if (!titleValidation.isValid) errors.push(titleValidation.message);
+
+        post.body = typeof record.body === 'string' ? record.body.trim() : '';
+        var bodyValidation = Helpers.validateField(post.body, 'Content', { required: true });
+        if (!bodyValidation.isValid) errors.push(bodyValidation.message);
+
+        return { post: post, errors: errors };
+    }
+
+    /**
+     * Check whether an imported record differs from the current post
+     * @param {Object} post - Normalized imported post
+     * @param {Object} current - Current post
+     * @returns {boolean} True if any field differs
+     */
+    function hasChanges(post, current) {
+        return post.title !== current.title ||
+            post.body !== current.body ||
+            post.userId !== current.userId;
+    }
+
+    /**
+     * Dry run: classify each record against the current posts
+     * A changed post is conflicting when it was also changed locally after the
+     * file was exported (or at all, when the file has no export date)
+     * @param {Object} parsed - Parsed file from parse()
+     * @param {Array} currentPosts - Current posts with local edits merged
+     * @returns {Array} Items with index, post, current, status and errors
+     */
+    function analyze(parsed, currentPosts) {
+        var postsById = {};
+        currentPosts.forEach(function(post) {
+            postsById[post.id] = post;
+        });
+
+        var seenIds = {};
+
+        return parsed.records.map(function(record, index) {
+            var validation = validateRecord(record);
+            var item = {
+                index: index + 1,
+                post: validation.post,
+                current: null,
+                status: STATUS.INVALID,
+                errors: validation.errors
+            };
+
+            if (item.post.id && seenIds[item.post.id]) {
+                item.errors.push('Duplicate of an earlier record with ID ' + item.post.id);
+            }
+            if (item.post.id) {
+                seenIds[item.post.id] = true;
+            }
+
+            if (item.errors.length > 0) {
+                return item;
+            }
+
+            var current = item.post.id ? postsById[item.post.id] : null;
+            if (!current) {
+                item.status = STATUS.NEW;
+                return item;
+            }
+
+            item.current = current;
+            if (!hasChanges(item.post, current)) {
+                item.status = STATUS.UNCHANGED;
+                return item;
+            }
+
+            var lastModified = StorageService.getPostLastModified(current.id);
+            var changedSinceExport = lastModified !== null &&
+                (parsed.exportDate === null || lastModified > parsed.exportDate);
+
+            item.status = changedSinceExport ? STATUS.CONFLICT : STATUS.CHANGED;
+            return item;
+        });
+    }
+
+    /**
+     * Apply an analyzed record, existing posts get a local edit and others are created
+     * @param {Object} item - Item from analyze()
+     * @returns {Promise<Object>} Promise that resolves to the saved post
+     */
+    function applyItem(item) {
+        var fields = {
+            userId: item.post.userId,
+            title: item.post.title,
+            body: item.post.body
+        };
+
+        if (item.status === STATUS.CHANGED || item.status === STATUS.CONFLICT) {
+            var updated = Object.assign({}, item.current, fields);
+            return ApiService.updatePost(item.current.id, updated).then(function() {
+                return updated;
+            });
+        }
+
+        if (item.status === STATUS.NEW) {
+            return ApiService.createPost(fields);
+        }
+
+        return Promise.reject(new Error('Record ' + item.index + ' cannot be imported (' + item.status + ')'));
+    }
+
+    /**
+     * Read a File object as text
+     * @param {File} file - File chosen by the user
+     * @returns {Promise<string>} Promise that resolves to the file contents
+     */
+    function readFile(file) {
+        return new Promise(function(resolve, reject) {
+            var reader = new FileReader();
+            reader.onload = function() {
+                resolve(reader.result);
+            };
+            reader.onerror = function() {
+                reject(reader.error || new Error('Failed to read file'));
+            };
+            reader.readAsText(file);
+        });
+    }
+
+    // Public API
+    return {
+        STATUS: STATUS,
+
+        // Parsing
+        readFile: readFile,
+        parse: parse,
+        validateRecord: validateRecord,
+
+        // Dry run and apply
+        analyze: analyze,
+        applyItem: applyItem
+    };
+})();
@@ -1,6 +1,6 @@
 /**
  * StorageService - Handles localStorage operations for the application
- * Provides methods for user session management and post data persistence
+ * Provides methods for user session management and post/comment data persistence
  */
 var StorageService = (function() {
     'use strict';
@@ -65,6 +65,7 @@ var StorageService = (function() {
      * @param {string} userData.companyCode - Company code
      * @param {string} userData.region - Selected region
      * @param {string} userData.email - User email
+     * @param {number} userData.userId - ID of the API user the account acts as
      */
     function setUser(userData) {
         setItem(USER_SESSION_KEY, userData);
@@ -95,8 +96,12 @@ var StorageService = (function() {
 
     // Posts Data Management
     var POSTS_CACHE_KEY = 'posts_cache';
+    var USERS_CACHE_KEY = 'users_cache';
     var EDITED_POST_PREFIX = 'edited_post_';
 
+    // Cached API data expires after 1 hour
+    var CACHE_TTL = 60 * 60 * 1000;
+
     /**
      * Cache original posts data from API
      * @param {Array} posts - Array of post objects
@@ -116,9 +121,7 @@ var StorageService = (function() {
         var cache = getItem(POSTS_CACHE_KEY);
         if (!cache) return null;
 
-        // Cache expires after 1 hour
-        var oneHour = 60 * 60 * 1000;
-        if (Date.now() - cache.timestamp > oneHour) {
+        if (Date.now() - cache.timestamp > CACHE_TTL) {
             removeItem(POSTS_CACHE_KEY);
             return null;
         }
@@ -126,15 +129,47 @@ var StorageService = (function() {
         return cache.data;
     }
 
+    /**
+     * Cache users data from API
+     * @param {Array} users - Array of user objects
+     */
+    function cacheUsers(users) {
+        setItem(USERS_CACHE_KEY, {
+            data: users,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Get cached users data
+     * @returns {Array|null} Cached users or null if not found/expired
+     */
+    function getCachedUsers() {
+        var cache = getItem(USERS_CACHE_KEY);
+        if (!cache) return null;
+
+        if (Date.now() - cache.timestamp > CACHE_TTL) {
+            removeItem(USERS_CACHE_KEY);
+            return null;
+        }
+
+        return cache.data;
+    }
+
     /**
      * Save edited post data
+     * The server version the edit was made against is kept with it, so later
+     * server changes can be told apart from local ones
      * @param {number} postId - Post ID
      * @param {Object} postData - Modified post data
+     * @param {Object} base - Server version the edit is based on (optional,
+     *                        the base of an existing edit is kept by default)
      */
-    function saveEditedPost(postId, postData) {
+    function saveEditedPost(postId, postData, base) {
         var key = EDITED_POST_PREFIX + postId;
         setItem(key, {
             data: postData,
+            base: base || getEditBase(postId),
             timestamp: Date.now()
         });
     }
@@ -150,6 +185,16 @@ var StorageService = (function() {
         return editedData ? editedData.data : null;
     }
 
+    /**
+     * Get the server version an edit was made against
+     * @param {number} postId - Post ID
+     * @returns {Object|null} Server post or null if unknown
+     */
+    function getEditBase(postId) {
+        var editedData = getItem(EDITED_POST_PREFIX + postId);
+        return editedData && editedData.base ? editedData.base : null;
+    }
+
     /**
      * Check if a post has been edited
      * @param {number} postId - Post ID
@@ -160,25 +205,44 @@ var StorageService = (function() {
     }
 
     /**
-     * Get all edited post IDs
-     * @returns {Array} Array of edited post IDs
+     * Get when a post was last changed locally
+     * @param {number} postId - Post ID
+     * @returns {number|null} Timestamp of the local edit or creation, null if unchanged
      */
-    function getEditedPostIds() {
-        var editedIds = [];
+    function getPostLastModified(postId) {
+        var stored = getItem(EDITED_POST_PREFIX + postId) || getItem(CREATED_POST_PREFIX + postId);
+        return stored ? stored.timestamp : null;
+    }
+
+    /**
+     * Get all numeric IDs stored under a key prefix
+     * @param {string} prefix - Storage key prefix
+     * @returns {Array} Array of IDs
+     */
+    function getIdsWithPrefix(prefix) {
+        var ids = [];
         try {
             for (var i = 0; i < localStorage.length; i++) {
                 var key = localStorage.key(i);
-                if (key && key.startsWith(EDITED_POST_PREFIX)) {
-                    var postId = parseInt(key.replace(EDITED_POST_PREFIX, ''));
-                    if (!isNaN(postId)) {
-                        editedIds.push(postId);
+                if (key && key.startsWith(prefix)) {
+                    var id = parseInt(key.replace(prefix, ''));
+                    if (!isNaN(id)) {
+                        ids.push(id);
                     }
                 }
             }
         } catch (error) {
-            console.error('Error getting edited post IDs:', error);
+            console.error('Error reading IDs for prefix ' + prefix + ':', error);
         }
-        return editedIds;
+        return ids;
+    }
+
+    /**
+     * Get all edited post IDs
+     * @returns {Array} Array of edited post IDs
+     */
+    function getEditedPostIds() {
+        return getIdsWithPrefix(EDITED_POST_PREFIX);
     }
 
     /**
@@ -200,6 +264,447 @@ var StorageService = (function() {
         });
     }
 
+    // Locally Created and Deleted Posts
+    var CREATED_POST_PREFIX = 'created_post_';
+    var DELETED_POST_PREFIX = 'deleted_post_';
+    var LAST_POST_ID_KEY = 'last_local_post_id';
+
+    /**
+     * Save a locally created post
+     * @param {number} postId - Local post ID
+     * @param {Object} postData - Full post data
+     */
+    function saveCreatedPost(postId, postData) {
+        setItem(CREATED_POST_PREFIX + postId, {
+            data: postData,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Get a locally created post
+     * @param {number} postId - Post ID
+     * @returns {Object|null} Post data or null if not created locally
+     */
+    function getCreatedPost(postId) {
+        var created = getItem(CREATED_POST_PREFIX + postId);
+        return created ? created.data : null;
+    }
+
+    /**
+     * Check if a post was created locally
+     * @param {number} postId - Post ID
+     * @returns {boolean} True if post was created locally
+     */
+    function isPostCreated(postId) {
+        return getCreatedPost(postId) !== null;
+    }
+
+    /**
+     * Get all locally created posts ordered by ID
+     * @returns {Array} Array of post objects
+     */
+    function getCreatedPosts() {
+        return getIdsWithPrefix(CREATED_POST_PREFIX)
+            .sort(function(a, b) { return a - b; })
+            .map(getCreatedPost)
+            .filter(function(post) { return post !== null; });
+    }
+
+    /**
+     * Remove a locally created post
+     * @param {number} postId - Post ID
+     */
+    function removeCreatedPost(postId) {
+        removeItem(CREATED_POST_PREFIX + postId);
+    }
+
+    /**
+     * Reserve the next free post ID for a locally created post
+     * @param {Array} knownIds - IDs already used by server posts
+     * @returns {number} New post ID
+     */
+    function nextPostId(knownIds) {
+        var ids = (knownIds || [])
+            .concat(getIdsWithPrefix(CREATED_POST_PREFIX))
+            .concat([getItem(LAST_POST_ID_KEY) || 0]);
+
+        var postId = Math.max.apply(null, ids) + 1;
+        setItem(LAST_POST_ID_KEY, postId);
+        return postId;
+    }
+
+    /**
+     * Mark a post as deleted (tombstone)
+     * @param {number} postId - Post ID
+     */
+    function markPostDeleted(postId) {
+        setItem(DELETED_POST_PREFIX + postId, {
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Check if a post has been deleted locally
+     * @param {number} postId - Post ID
+     * @returns {boolean} True if post is tombstoned
+     */
+    function isPostDeleted(postId) {
+        return getItem(DELETED_POST_PREFIX + postId) !== null;
+    }
+
+    /**
+     * Get all deleted post IDs
+     * @returns {Array} Array of deleted post IDs
+     */
+    function getDeletedPostIds() {
+        return getIdsWithPrefix(DELETED_POST_PREFIX);
+    }
+
+    /**
+     * Remove a post tombstone
+     * @param {number} postId - Post ID
+     */
+    function unmarkPostDeleted(postId) {
+        removeItem(DELETED_POST_PREFIX + postId);
+    }
+
+    // Comments Data Management
+    var EDITED_COMMENT_PREFIX = 'edited_comment_';
+    var CREATED_COMMENT_PREFIX = 'created_comment_';
+    var DELETED_COMMENT_PREFIX = 'deleted_comment_';
+
+    /**
+     * Save edited comment data
+     * @param {number} commentId - Comment ID
+     * @param {Object} commentData - Modified comment data
+     */
+    function saveEditedComment(commentId, commentData) {
+        setItem(EDITED_COMMENT_PREFIX + commentId, {
+            data: commentData,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Get edited comment data
+     * @param {number} commentId - Comment ID
+     * @returns {Object|null} Edited comment data or null if not found
+     */
+    function getEditedComment(commentId) {
+        var editedData = getItem(EDITED_COMMENT_PREFIX + commentId);
+        return editedData ? editedData.data : null;
+    }
+
+    /**
+     * Remove edited comment data
+     * @param {number} commentId - Comment ID
+     */
+    function removeEditedComment(commentId) {
+        removeItem(EDITED_COMMENT_PREFIX + commentId);
+    }
+
+    /**
+     * Save a locally created comment
+     * @param {number} commentId - Local comment ID
+     * @param {Object} commentData - Full comment data including postId
+     */
+    function saveCreatedComment(commentId, commentData) {
+        setItem(CREATED_COMMENT_PREFIX + commentId, {
+            data: commentData,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Get a locally created comment
+     * @param {number} commentId - Comment ID
+     * @returns {Object|null} Comment data or null if not created locally
+     */
+    function getCreatedComment(commentId) {
+        var created = getItem(CREATED_COMMENT_PREFIX + commentId);
+        return created ? created.data : null;
+    }
+
+    /**
+     * Get locally created comments, optionally for a single post
+     * @param {number} postId - Post ID (omit for all posts)
+     * @returns {Array} Array of comment objects ordered by ID
+     */
+    function getCreatedComments(postId) {
+        return getIdsWithPrefix(CREATED_COMMENT_PREFIX)
+            .sort(function(a, b) { return a - b; })
+            .map(getCreatedComment)
+            .filter(function(comment) {
+                return comment !== null &&
+                    (postId === undefined || comment.postId === parseInt(postId));
+            });
+    }
+
+    /**
+     * Remove a locally created comment
+     * @param {number} commentId - Comment ID
+     */
+    function removeCreatedComment(commentId) {
+        removeItem(CREATED_COMMENT_PREFIX + commentId);
+    }
+
+    /**
+     * Mark a comment as deleted (tombstone)
+     * @param {number} commentId - Comment ID
+     */
+    function markCommentDeleted(commentId) {
+        setItem(DELETED_COMMENT_PREFIX + commentId, {
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Get all deleted comment IDs
+     * @returns {Array} Array of deleted comment IDs
+     */
+    function getDeletedCommentIds() {
+        return getIdsWithPrefix(DELETED_COMMENT_PREFIX);
+    }
+
+    // Todos Data Management
+    var EDITED_TODO_PREFIX = 'edited_todo_';
+    var CREATED_TODO_PREFIX = 'created_todo_';
+    var DELETED_TODO_PREFIX = 'deleted_todo_';
+
+    /**
+     * Save edited todo data
+     * @param {number} todoId - Todo ID
+     * @param {Object} todoData - Modified todo data
+     */
+    function saveEditedTodo(todoId, todoData) {
+        setItem(EDITED_TODO_PREFIX + todoId, {
+            data: todoData,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Get edited todo data
+     * @param {number} todoId - Todo ID
+     * @returns {Object|null} Edited todo data or null if not found
+     */
+    function getEditedTodo(todoId) {
+        var editedData = getItem(EDITED_TODO_PREFIX + todoId);
+        return editedData ? editedData.data : null;
+    }
+
+    /**
+     * Remove edited todo data
+     * @param {number} todoId - Todo ID
+     */
+    function removeEditedTodo(todoId) {
+        removeItem(EDITED_TODO_PREFIX + todoId);
+    }
+
+    /**
+     * Save a locally created todo
+     * @param {number} todoId - Local todo ID
+     * @param {Object} todoData - Full todo data including userId
+     */
+    function saveCreatedTodo(todoId, todoData) {
+        setItem(CREATED_TODO_PREFIX + todoId, {
+            data: todoData,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Get a locally created todo
+     * @param {number} todoId - Todo ID
+     * @returns {Object|null} Todo data or null if not created locally
+     */
+    function getCreatedTodo(todoId) {
+        var created = getItem(CREATED_TODO_PREFIX + todoId);
+        return created ? created.data : null;
+    }
+
+    /**
+     * Get locally created todos, optionally for a single user
+     * @param {number} userId - User ID (omit for all users)
+     * @returns {Array} Array of todo objects ordered by ID
+     */
+    function getCreatedTodos(userId) {
+        return getIdsWithPrefix(CREATED_TODO_PREFIX)
+            .sort(function(a, b) { return a - b; })
+            .map(getCreatedTodo)
+            .filter(function(todo) {
+                return todo !== null &&
+                    (userId === undefined || todo.userId === parseInt(userId));
+            });
+    }
+
+    /**
+     * Remove a locally created todo
+     * @param {number} todoId - Todo ID
+     */
+    function removeCreatedTodo(todoId) {
+        removeItem(CREATED_TODO_PREFIX + todoId);
+    }
+
+    /**
+     * Mark a todo as deleted (tombstone)
+     * @param {number} todoId - Todo ID
+     */
+    function markTodoDeleted(todoId) {
+        setItem(DELETED_TODO_PREFIX + todoId, {
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Get all deleted todo IDs
+     * @returns {Array} Array of deleted todo IDs
+     */
+    function getDeletedTodoIds() {
+        return getIdsWithPrefix(DELETED_TODO_PREFIX);
+    }
+
+    // User Preferences Management
+    var PREFERENCES_PREFIX = 'preferences_';
+
+    /**
+     * Get preferences saved for a user
+     * @param {string} email - User email
+     * @returns {Object} Preferences object (empty if none saved)
+     */
+    function getUserPreferences(email) {
+        return getItem(PREFERENCES_PREFIX + String(email).toLowerCase()) || {};
+    }
+
+    /**
+     * Save preferences for a user, merged into any existing ones
+     * @param {string} email - User email
+     * @param {Object} preferences - Preferences to save
+     */
+    function saveUserPreferences(email, preferences) {
+        setItem(PREFERENCES_PREFIX + String(email).toLowerCase(),
+            Object.assign(getUserPreferences(email), preferences));
+    }
+
+    // Saved Views Management
+    var SAVED_VIEWS_PREFIX = 'saved_views_';
+
+    /**
+     * Get saved list views for a user
+     * @param {string} email - User email
+     * @returns {Array} Saved views in display order
+     */
+    function getSavedViews(email) {
+        return getItem(SAVED_VIEWS_PREFIX + String(email).toLowerCase()) || [];
+    }
+
+    /**
+     * Save the list views for a user, replacing the stored ones
+     * @param {string} email - User email
+     * @param {Array} views - Saved views in display order
+     */
+    function saveSavedViews(email, views) {
+        setItem(SAVED_VIEWS_PREFIX + String(email).toLowerCase(), views);
+    }
+
+    // Revision History Management
+    var REVISIONS_PREFIX = 'revisions_';
+
+    // Oldest revisions are dropped beyond this many per post
+    var MAX_REVISIONS = 50;
+
+    /**
+     * Get the saved revisions of a post
+     * @param {number} postId - Post ID
+     * @returns {Array} Revisions, oldest first
+     */
+    function getRevisions(postId) {
+        return getItem(REVISIONS_PREFIX + postId) || [];
+    }
+
+    /**
+     * Append a revision to a post's history
+     * @param {number} postId - Post ID
+     * @param {Object} revision - Snapshot (title, body, userId, author)
+     * @returns {Object} Stored revision with its ID and timestamp
+     */
+    function addRevision(postId, revision) {
+        var revisions = getRevisions(postId);
+        var last = revisions[revisions.length - 1];
+
+        var stored = Object.assign({}, revision, {
+            id: last ? last.id + 1 : 1,
+            timestamp: Date.now()
+        });
+
+        revisions.push(stored);
+        setItem(REVISIONS_PREFIX + postId, revisions.slice(-MAX_REVISIONS));
+        return stored;
+    }
+
+    /**
+     * Remove the history of a post
+     * @param {number} postId - Post ID
+     */
+    function removeRevisions(postId) {
+        removeItem(REVISIONS_PREFIX + postId);
+    }
+
+    // Sync Outbox Management
+    var OUTBOX_KEY = 'sync_outbox';
+
+    /**
+     * Get queued mutations waiting to be sent to the API
+     * @returns {Array} Array of outbox entries (oldest first)
+     */
+    function getOutbox() {
+        return getItem(OUTBOX_KEY) || [];
+    }
+
+    /**
+     * Persist the outbox
+     * @param {Array} entries - Array of outbox entries
+     */
+    function saveOutbox(entries) {
+        if (!entries || entries.length === 0) {
+            removeItem(OUTBOX_KEY);
+            return;
+        }
+        setItem(OUTBOX_KEY, entries);
+    }
+
+    /**
+     * Clear all queued mutations
+     */
+    function clearOutbox() {
+        removeItem(OUTBOX_KEY);
+    }
+
+    // Change Tracking
+
+    /**
+     * Describe what a storage key holds, used for changes made by other tabs
+     * @param {string} key - Storage key
+     * @returns {Object|null} { type: 'session' }, { type: 'outbox' } or
+     *                        { type: 'post', postId }, null for other keys
+     */
+    function describeKey(key) {
+        if (key === USER_SESSION_KEY) {
+            return { type: 'session' };
+        }
+        if (key === OUTBOX_KEY) {
+            return { type: 'outbox' };
+        }
+
+        var prefix = [EDITED_POST_PREFIX, CREATED_POST_PREFIX, DELETED_POST_PREFIX].find(function(postPrefix) {
+            return String(key).indexOf(postPrefix) === 0;
+        });
+        var postId = prefix ? parseInt(key.substring(prefix.length), 10) : NaN;
+
+        return isNaN(postId) ? null : { type: 'post', postId: postId };
+    }
+
     /**
      * Get storage usage information
      * @returns {Object} Storage usage stats
@@ -243,13 +748,72 @@ var StorageService = (function() {
         // Posts data management
         cachePosts: cachePosts,
         getCachedPosts: getCachedPosts,
+        cacheUsers: cacheUsers,
+        getCachedUsers: getCachedUsers,
         saveEditedPost: saveEditedPost,
         getEditedPost: getEditedPost,
+        getEditBase: getEditBase,
         isPostEdited: isPostEdited,
+        getPostLastModified: getPostLastModified,
         getEditedPostIds: getEditedPostIds,
         removeEditedPost: removeEditedPost,
         clearEditedPosts: clearEditedPosts,
 
+        // Locally created and deleted posts
+        saveCreatedPost: saveCreatedPost,
+        getCreatedPost: getCreatedPost,
+        isPostCreated: isPostCreated,
+        getCreatedPosts: getCreatedPosts,
+        removeCreatedPost: removeCreatedPost,
+        nextPostId: nextPostId,
+        markPostDeleted: markPostDeleted,
+        isPostDeleted: isPostDeleted,
+        getDeletedPostIds: getDeletedPostIds,
+        unmarkPostDeleted: unmarkPostDeleted,
+
+        // Comments data management
+        saveEditedComment: saveEditedComment,
+        getEditedComment: getEditedComment,
+        removeEditedComment: removeEditedComment,
+        saveCreatedComment: saveCreatedComment,
+        getCreatedComment: getCreatedComment,
+        getCreatedComments: getCreatedComments,
+        removeCreatedComment: removeCreatedComment,
+        markCommentDeleted: markCommentDeleted,
+        getDeletedCommentIds: getDeletedCommentIds,
+
+        // Todos data management
+        saveEditedTodo: saveEditedTodo,
+        getEditedTodo: getEditedTodo,
+        removeEditedTodo: removeEditedTodo,
+        saveCreatedTodo: saveCreatedTodo,
+        getCreatedTodo: getCreatedTodo,
+        getCreatedTodos: getCreatedTodos,
+        removeCreatedTodo: removeCreatedTodo,
+        markTodoDeleted: markTodoDeleted,
+        getDeletedTodoIds: getDeletedTodoIds,
+
+        // User preferences
+        getUserPreferences: getUserPreferences,
+        saveUserPreferences: saveUserPreferences,
+
+        // Saved views
+        getSavedViews: getSavedViews,
+        saveSavedViews: saveSavedViews,
+
+        // Revision history
+        getRevisions: getRevisions,
+        addRevision: addRevision,
+        removeRevisions: removeRevisions,
+
+        // Sync outbox
+        getOutbox: getOutbox,
+        saveOutbox: saveOutbox,
+        clearOutbox: clearOutbox,
+
+        // Change tracking
+        describeKey: describeKey,
+
         // Utility methods
         getStorageInfo: getStorageInfo
     };
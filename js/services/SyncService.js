@@ -0,0 +1,497 @@
+/**
+ * SyncService - Offline outbox for API mutations
+ * Queues create/update/patch/delete requests that failed to reach the API and
+ * replays them in order once connectivity returns
+ */
+var SyncService = (function() {
+    'use strict';
+
+    var STATUS = {
+        PENDING: 'pending',
+        SYNCING: 'syncing',
+        FAILED: 'failed'
+    };
+
+    // Automatic replays give up on an entry after this many attempts
+    var MAX_ATTEMPTS = 5;
+    var POLL_INTERVAL = 30000;
+
+    var isReplaying = false;
+    var replayPromise = null;
+    var pollTimer = null;
+    var changeCallbacks = [];
+    var rejectCallbacks = [];
+
+    /**
+     * Check whether an entry targets the given record
+     * @param {Object} entry - Outbox entry
+     * @param {string} resource - Resource name (e.g. 'posts')
+     * @param {number|string} id - Record ID
+     * @returns {boolean} True if entry belongs to the record
+     */
+    function isForRecord(entry, resource, id) {
+        return entry.resource === resource && String(entry.recordId) === String(id);
+    }
+
+    /**
+     * Build a new outbox entry from a mutation
+     * @param {Object} mutation - Mutation description
+     * @returns {Object} Outbox entry
+     */
+    function createEntry(mutation) {
+        var now = Date.now();
+        return {
+            id: now.toString(36) + Math.random().toString(36).substring(2, 8),
+            type: mutation.type,
+            resource: mutation.resource,
+            recordId: mutation.id,
+            data: mutation.data || null,
+            status: STATUS.PENDING,
+            attempts: 0,
+            lastError: '',
+            createdAt: now,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * Merge a new mutation into the queue, collapsing redundant entries
+     * for the same record so only the latest state is replayed
+     * @param {Array} entries - Current outbox entries
+     * @param {Object} mutation - Mutation to add
+     * @returns {Array} Updated outbox entries
+     */
+    function coalesce(entries, mutation) {
+        var related = entries.filter(function(entry) {
+            return entry.status !== STATUS.SYNCING &&
+                isForRecord(entry, mutation.resource, mutation.id);
+        });
+        var queuedCreate = related.find(function(entry) { return entry.type === 'create'; });
+        var queuedUpdate = related.find(function(entry) {
+            return entry.type === 'update' || entry.type === 'patch';
+        });
+
+        if (mutation.type === 'update' || mutation.type === 'patch') {
+            var target = queuedCreate || queuedUpdate;
+            if (target) {
+                // A queued create already carries the full record, so fold the change into it
+                if (target.type === 'patch' && mutation.type === 'update') {
+                    target.type = 'update';
+                }
+                target.data = Object.assign({}, target.data, mutation.data);
+                target.status = STATUS.PENDING;
+                target.attempts = 0;
+                target.updatedAt = Date.now();
+                return entries;
+            }
+        }
+
+        if (mutation.type === 'delete') {
+            var remaining = entries.filter(function(entry) {
+                return related.indexOf(entry) === -1;
+            });
+
+            // The record never reached the server, nothing to delete remotely
+            if (queuedCreate) {
+                return remaining;
+            }
+
+            entries = remaining;
+        }
+
+        entries.push(createEntry(mutation));
+        return entries;
+    }
+
+    /**
+     * Get outbox summary counts
+     * @returns {Object} Counts of pending and failed entries
+     */
+    function getSummary() {
+        var entries = StorageService.getOutbox();
+        var failed = entries.filter(function(entry) {
+            return entry.status === STATUS.FAILED;
+        }).length;
+
+        return {
+            total: entries.length,
+            pending: entries.length - failed,
+            failed: failed
+        };
+    }
+
+    /**
+     * Notify change callbacks with the current outbox summary
+     */
+    function notifyChange() {
+        var summary = getSummary();
+        changeCallbacks.forEach(function(callback) {
+            try {
+                callback(summary);
+            } catch (error) {
+                console.error('Error in sync change callback:', error);
+            }
+        });
+    }
+
+    /**
+     * Update a single outbox entry in storage
+     * @param {string} entryId - Entry ID
+     * @param {Object} changes - Fields to update
+     * @returns {Object|null} Updated entry, null if it is no longer queued
+     */
+    function updateEntry(entryId, changes) {
+        var entries = StorageService.getOutbox();
+        var updated = null;
+        entries.forEach(function(entry) {
+            if (entry.id === entryId) {
+                updated = Object.assign(entry, changes, { updatedAt: Date.now() });
+            }
+        });
+        StorageService.saveOutbox(entries);
+        return updated;
+    }
+
+    /**
+     * Get the stored version of an outbox entry
+     * @param {string} entryId - Entry ID
+     * @returns {Object|null} Entry, null if it is no longer queued
+     */
+    function findEntry(entryId) {
+        return StorageService.getOutbox().find(function(entry) {
+            return entry.id === entryId;
+        }) || null;
+    }
+
+    /**
+     * Remove a single outbox entry from storage
+     * @param {string} entryId - Entry ID
+     */
+    function removeEntry(entryId) {
+        var entries = StorageService.getOutbox().filter(function(entry) {
+            return entry.id !== entryId;
+        });
+        StorageService.saveOutbox(entries);
+    }
+
+    /**
+     * Queue a mutation for later delivery
+     * @param {Object} mutation - Mutation description
+     * @param {string} mutation.type - 'create', 'update', 'patch' or 'delete'
+     * @param {string} mutation.resource - Resource name (e.g. 'posts')
+     * @param {number|string} mutation.id - Record ID
+     * @param {Object} mutation.data - Request payload
+     */
+    function enqueue(mutation) {
+        var entries = coalesce(StorageService.getOutbox(), mutation);
+        StorageService.saveOutbox(entries);
+        console.info('Queued ' + mutation.type + ' for sync:', mutation.resource, mutation.id);
+        notifyChange();
+    }
+
+    /**
+     * Keep a mutation the API rejected as failed, so the user can retry it
+     * with a forced replay once the cause is fixed
+     * @param {Object} mutation - Mutation description, as for enqueue
+     * @param {Error} error - Error the API responded with
+     */
+    function reject(mutation, error) {
+        var entries = coalesce(StorageService.getOutbox(), mutation);
+        entries.forEach(function(entry) {
+            if (entry.status !== STATUS.SYNCING && isForRecord(entry, mutation.resource, mutation.id)) {
+                // Automatic replays would only be rejected again
+                Object.assign(entry, {
+                    status: STATUS.FAILED,
+                    attempts: MAX_ATTEMPTS,
+                    lastError: error.message,
+                    updatedAt: Date.now()
+                });
+            }
+        });
+        StorageService.saveOutbox(entries);
+        notifyChange();
+
+        rejectCallbacks.forEach(function(callback) {
+            try {
+                callback(mutation, error);
+            } catch (callbackError) {
+                console.error('Error in sync reject callback:', callbackError);
+            }
+        });
+    }
+
+    /**
+     * Check if a record has queued mutations
+     * @param {string} resource - Resource name
+     * @param {number|string} id - Record ID
+     * @returns {boolean} True if mutations are waiting for the record
+     */
+    function hasPending(resource, id) {
+        return StorageService.getOutbox().some(function(entry) {
+            return isForRecord(entry, resource, id);
+        });
+    }
+
+    /**
+     * Drop queued mutations for a record, e.g. after its local edits were reverted
+     * @param {string} resource - Resource name
+     * @param {number|string} id - Record ID
+     * @param {Array} types - Mutation types to drop (default: all)
+     */
+    function discardPending(resource, id, types) {
+        var entries = StorageService.getOutbox();
+        var remaining = entries.filter(function(entry) {
+            return entry.status === STATUS.SYNCING ||
+                !isForRecord(entry, resource, id) ||
+                (types && types.indexOf(entry.type) === -1);
+        });
+
+        if (remaining.length !== entries.length) {
+            StorageService.saveOutbox(remaining);
+            notifyChange();
+        }
+    }
+
+    /**
+     * Get number of changes waiting to be synced
+     * @returns {number} Outbox size
+     */
+    function getPendingCount() {
+        return StorageService.getOutbox().length;
+    }
+
+    /**
+     * Send queued entries one by one, keeping the order per record
+     * Each entry is read again from storage before it is sent, so changes
+     * merged into it or its removal during the replay are respected
+     * @param {Array} entries - Entries to send
+     * @param {Object} result - Accumulated replay result
+     * @returns {Promise<Object>} Promise that resolves to the replay result
+     */
+    function processEntries(entries, result) {
+        if (entries.length === 0) {
+            return Promise.resolve(result);
+        }
+
+        var rest = entries.slice(1);
+
+        // Discarded or deleted since the replay started
+        if (!findEntry(entries[0].id)) {
+            return processEntries(rest, result);
+        }
+
+        var entry = updateEntry(entries[0].id, { status: STATUS.SYNCING });
+
+        return ApiService.retryRequest(function() {
+            return ApiService.sendMutation({
+                type: entry.type,
+                resource: entry.resource,
+                id: entry.recordId,
+                data: entry.data
+            });
+        }, 2, 1000)
+            .then(function() {
+                // Only drop the entry if nothing was merged into it while it was sent
+                var current = findEntry(entry.id);
+                if (current && current.updatedAt === entry.updatedAt) {
+                    removeEntry(entry.id);
+                } else if (current) {
+                    updateEntry(entry.id, { status: STATUS.PENDING });
+                }
+                result.synced++;
+            })
+            .catch(function(error) {
+                // Lost connection: keep the rest queued without using up their attempts
+                if (error instanceof ApiService.ApiError && error.isConnectivityError()) {
+                    updateEntry(entry.id, { status: STATUS.PENDING, lastError: error.message });
+                    result.online = false;
+                    rest = [];
+                    return;
+                }
+
+                updateEntry(entry.id, {
+                    status: STATUS.FAILED,
+                    attempts: entry.attempts + 1,
+                    lastError: error.message
+                });
+                result.failed++;
+
+                // Later changes to the same record must not overtake the failed one
+                rest = rest.filter(function(other) {
+                    return !isForRecord(other, entry.resource, entry.recordId);
+                });
+            })
+            .then(function() {
+                notifyChange();
+                return processEntries(rest, result);
+            });
+    }
+
+    /**
+     * Replay queued mutations if the API is reachable
+     * @param {boolean} force - Also retry entries that exceeded the attempt limit
+     * @returns {Promise<Object>} Promise that resolves to replay result
+     */
+    function replay(force) {
+        if (isReplaying) {
+            return replayPromise;
+        }
+
+        var entries = StorageService.getOutbox().filter(function(entry) {
+            return force || entry.attempts < MAX_ATTEMPTS;
+        });
+
+        if (entries.length === 0) {
+            return Promise.resolve({ synced: 0, failed: 0, online: true });
+        }
+
+        isReplaying = true;
+
+        replayPromise = ApiService.checkConnectivity()
+            .then(function(isOnline) {
+                if (!isOnline) {
+                    console.info('API unreachable, keeping ' + entries.length + ' change(s) queued');
+                    return { synced: 0, failed: 0, online: false };
+                }
+
+                console.info('Replaying ' + entries.length + ' queued change(s)');
+                return processEntries(entries, { synced: 0, failed: 0, online: true });
+            })
+            .finally(function() {
+                isReplaying = false;
+                replayPromise = null;
+            });
+
+        return replayPromise;
+    }
+
+    /**
+     * Handle browser coming back online
+     */
+    function handleOnline() {
+        console.info('Connection restored, syncing queued changes');
+        replay();
+    }
+
+    /**
+     * Periodically retry while changes are waiting
+     */
+    function handlePoll() {
+        if (getPendingCount() > 0 && navigator.onLine !== false) {
+            replay();
+        }
+    }
+
+    /**
+     * Refresh subscribers when another tab changed the outbox
+     * @param {Object} change - Change from TabSyncService
+     */
+    function handleTabChange(change) {
+        if (change.type === 'outbox') {
+            notifyChange();
+        }
+    }
+
+    /**
+     * Start listening for connectivity changes and replay leftovers
+     */
+    function init() {
+        // Entries left mid-sync by a closed page are retried from scratch
+        var entries = StorageService.getOutbox();
+        entries.forEach(function(entry) {
+            if (entry.status === STATUS.SYNCING) {
+                entry.status = STATUS.PENDING;
+            }
+        });
+        StorageService.saveOutbox(entries);
+
+        window.addEventListener('online', handleOnline);
+        TabSyncService.onChange(handleTabChange);
+
+        if (!pollTimer) {
+            pollTimer = setInterval(handlePoll, POLL_INTERVAL);
+        }
+
+        handlePoll();
+    }
+
+    /**
+     * Stop background syncing
+     */
+    function stop() {
+        window.removeEventListener('online', handleOnline);
+        TabSyncService.removeChangeCallback(handleTabChange);
+
+        if (pollTimer) {
+            clearInterval(pollTimer);
+            pollTimer = null;
+        }
+    }
+
+    /**
+     * Add callback to execute when the outbox changes
+     * @param {Function} callback - Callback receiving the outbox summary
+     */
+    function onChange(callback) {
+        if (typeof callback === 'function') {
+            changeCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Remove outbox change callback
+     * @param {Function} callback - Callback to remove
+     */
+    function removeChangeCallback(callback) {
+        var index = changeCallbacks.indexOf(callback);
+        if (index > -1) {
+            changeCallbacks.splice(index, 1);
+        }
+    }
+
+    /**
+     * Add callback to execute when the API rejects a mutation
+     * @param {Function} callback - Callback receiving the mutation and the error
+     */
+    function onReject(callback) {
+        if (typeof callback === 'function') {
+            rejectCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Remove reject callback
+     * @param {Function} callback - Callback to remove
+     */
+    function removeRejectCallback(callback) {
+        var index = rejectCallbacks.indexOf(callback);
+        if (index > -1) {
+            rejectCallbacks.splice(index, 1);
+        }
+    }
+
+    // Public API
+    return {
+        // Queue management
+        enqueue: enqueue,
+        reject: reject,
+        hasPending: hasPending,
+        discardPending: discardPending,
+        getPendingCount: getPendingCount,
+        getSummary: getSummary,
+
+        // Replay
+        replay: replay,
+        init: init,
+        stop: stop,
+
+        // Callbacks
+        onChange: onChange,
+        removeChangeCallback: removeChangeCallback,
+        onReject: onReject,
+        removeRejectCallback: removeRejectCallback,
+
+        // Constants
+        STATUS: STATUS
+    };
+})();
@@ -0,0 +1,92 @@
+/**
+ * TabSyncService - Tells the app about changes made in other open tabs
+ * Other tabs write to the same localStorage, the storage events they cause
+ * are translated into session, post and outbox changes for subscribers
+ */
+var TabSyncService = (function() {
+    'use strict';
+
+    var isListening = false;
+    var changeCallbacks = [];
+
+    /**
+     * Notify change callbacks
+     * @param {Object} change - Change from StorageService.describeKey
+     */
+    function notifyChange(change) {
+        changeCallbacks.slice().forEach(function(callback) {
+            try {
+                callback(change);
+            } catch (error) {
+                console.error('Error in tab sync callback:', error);
+            }
+        });
+    }
+
+    /**
+     * Handle a storage event, only fired for changes made by other tabs
+     * @param {StorageEvent} event - Storage event
+     */
+    function handleStorage(event) {
+        if (event.storageArea && event.storageArea !== localStorage) {
+            return;
+        }
+
+        // A cleared storage also removed the session
+        var change = event.key === null ? { type: 'session' } : StorageService.describeKey(event.key);
+        if (change) {
+            console.info('Change from another tab:', change);
+            notifyChange(change);
+        }
+    }
+
+    /**
+     * Start listening for changes from other tabs
+     */
+    function init() {
+        if (!isListening) {
+            window.addEventListener('storage', handleStorage);
+            isListening = true;
+        }
+    }
+
+    /**
+     * Stop listening for changes from other tabs
+     */
+    function stop() {
+        window.removeEventListener('storage', handleStorage);
+        isListening = false;
+    }
+
+    /**
+     * Add callback to execute when another tab changes the session, a post or the outbox
+     * @param {Function} callback - Callback receiving the change ({ type, postId })
+     */
+    function onChange(callback) {
+        if (typeof callback === 'function') {
+            changeCallbacks.push(callback);
+        }
+    }
+
+    /**
+     * Remove change callback
+     * @param {Function} callback - Callback to remove
+     */
+    function removeChangeCallback(callback) {
+        var index = changeCallbacks.indexOf(callback);
+        if (index > -1) {
+            changeCallbacks.splice(index, 1);
+        }
+    }
+
+    // Public API
+    return {
+        // Listening
+        init: init,
+        stop: stop,
+
+        // Callbacks
+        onChange: onChange,
+        removeChangeCallback: removeChangeCallback
+    };
+})();
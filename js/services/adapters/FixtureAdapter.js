@@ -0,0 +1,288 @@
+/**
+ * FixtureAdapter - In-memory backend adapter seeded from JSON fixture files
+ * Mimics the JSONPlaceholder REST routes so the app can run without network access
+ */
+function FixtureAdapter(options) {
+    'use strict';
+
+    var self = this;
+
+    options = options || {};
+
+    self.name = 'fixture';
+    self.fixturePath = (options.fixturePath || 'data/fixtures').replace(/\/+$/, '');
+    self.resources = options.resources || ['posts', 'users', 'comments', 'todos', 'albums', 'photos'];
+    self.latency = options.latency || 0;
+
+    // Collections keyed by resource name, filled from the fixture files
+    var collections = {};
+    var loadPromise = null;
+
+    /**
+     * Load fixture files into memory (only once)
+     * @returns {Promise} Promise that resolves when all fixtures are loaded
+     */
+    self.ready = function() {
+        if (loadPromise) {
+            return loadPromise;
+        }
+
+        loadPromise = Promise.all(self.resources.map(function(resource) {
+            return fetch(self.fixturePath + '/' + resource + '.json')
+                .then(function(response) {
+                    if (!response.ok) {
+                        throw new Error('HTTP ' + response.status + ': ' + response.statusText);
+                    }
+                    return response.json();
+                })
+                .then(function(records) {
+                    collections[resource] = records;
+                })
+                .catch(function(error) {
+                    console.warn('Failed to load fixture for ' + resource + ', using empty data:', error);
+                    collections[resource] = [];
+                });
+        })).then(function() {
+            console.info('Fixture backend ready:', self.resources.join(', '));
+        });
+
+        return loadPromise;
+    };
+
+    /**
+     * Build an error matching the REST transport's errors
+     * @param {number} status - HTTP status code
+     * @param {string} statusText - HTTP status text
+     * @returns {ApiError} Error object
+     */
+    function httpError(status, statusText) {
+        return new ApiService.ApiError(ApiService.ERROR_TYPES.HTTP, 'HTTP ' + status + ': ' + statusText, {
+            status: status
+        });
+    }
+
+    /**
+     * Reject if the caller cancelled the request
+     * @param {AbortSignal} signal - Caller's abort signal
+     */
+    function throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw new ApiService.ApiError(ApiService.ERROR_TYPES.ABORTED, 'Request was cancelled');
+        }
+    }
+
+    /**
+     * Split a resource path into segments and query parameters
+     * @param {string} path - Resource path (e.g. '/posts?userId=1')
+     * @returns {Object} Parsed path with segments and query
+     */
+    function parsePath(path) {
+        var parts = path.split('?');
+        var segments = parts[0].split('/').filter(function(segment) {
+            return segment !== '';
+        });
+
+        var query = {};
+        if (parts[1]) {
+            parts[1].split('&').forEach(function(param) {
+                var index = param.indexOf('=');
+                if (index > 0) {
+                    query[decodeURIComponent(param.substring(0, index))] =
+                        decodeURIComponent(param.substring(index + 1));
+                }
+            });
+        }
+
+        return {
+            resource: segments[0],
+            id: segments[1],
+            child: segments[2],
+            query: query
+        };
+    }
+
+    /**
+     * Find a record by ID
+     * @param {Array} collection - Records
+     * @param {string|number} id - Record ID
+     * @returns {Object|undefined} Matching record
+     */
+    function findRecord(collection, id) {
+        return collection.find(function(record) {
+            return String(record.id) === String(id);
+        });
+    }
+
+    /**
+     * Filter records by query parameters (JSONPlaceholder style, e.g. userId=1)
+     * @param {Array} records - Records to filter
+     * @param {Object} query - Query parameters
+     * @returns {Array} Matching records
+     */
+    function filterRecords(records, query) {
+        return records.filter(function(record) {
+            return Object.keys(query).every(function(key) {
+                // Underscore parameters are paging/sorting options, not filters
+                if (key.charAt(0) === '_') return true;
+                return String(record[key]) === query[key];
+            });
+        });
+    }
+
+    /**
+     * Order records by _sort/_order query parameters
+     * @param {Array} records - Filtered records
+     * @param {Object} query - Query parameters
+     * @returns {Array} Records in the requested order
+     */
+    function sortRecords(records, query) {
+        return query._sort ? Helpers.sortByField(records, query._sort, query._order) : records;
+    }
+
+    /**
+     * Slice records by _page/_limit query parameters
+     * @param {Array} records - Filtered records
+     * @param {Object} query - Query parameters
+     * @returns {Array} Records on the requested page
+     */
+    function paginate(records, query) {
+        var page = parseInt(query._page, 10);
+        var limit = parseInt(query._limit, 10);
+
+        if (!limit) {
+            return records;
+        }
+
+        page = page > 0 ? page : 1;
+        return records.slice((page - 1) * limit, page * limit);
+    }
+
+    /**
+     * Resolve a request against the in-memory collections
+     * @param {string} method - HTTP method
+     * @param {Object} route - Parsed path
+     * @param {Object|null} body - Parsed request body
+     * @param {Object} meta - Filled with response metadata (e.g. total count)
+     * @returns {*} Response data
+     */
+    function handle(method, route, body, meta) {
+        var collection = collections[route.resource];
+        if (!collection) {
+            throw httpError(404, 'Not Found');
+        }
+
+        // Nested resources, e.g. /posts/1/comments
+        if (route.child) {
+            if (method !== 'GET' || !collections[route.child]) {
+                throw httpError(404, 'Not Found');
+            }
+            var foreignKey = route.resource.replace(/s$/, '') + 'Id';
+            var childQuery = Object.assign({}, route.query);
+            childQuery[foreignKey] = String(route.id);
+            return filterRecords(collections[route.child], childQuery);
+        }
+
+        if (method === 'POST') {
+            var nextId = collection.reduce(function(max, record) {
+                return Math.max(max, record.id);
+            }, 0) + 1;
+            var created = Object.assign({}, body, { id: nextId });
+            collection.push(created);
+            return created;
+        }
+
+        if (route.id === undefined) {
+            if (method !== 'GET') {
+                throw httpError(404, 'Not Found');
+            }
+            var matches = filterRecords(collection, route.query);
+            meta.total = matches.length;
+            return paginate(sortRecords(matches, route.query), route.query);
+        }
+
+        var record = findRecord(collection, route.id);
+        if (!record) {
+            throw httpError(404, 'Not Found');
+        }
+
+        switch (method) {
+            case 'GET':
+            case 'HEAD':
+                return record;
+            case 'PUT':
+                var replaced = Object.assign({}, body, { id: record.id });
+                collection[collection.indexOf(record)] = replaced;
+                return replaced;
+            case 'PATCH':
+                Object.assign(record, body, { id: record.id });
+                return record;
+            case 'DELETE':
+                collection.splice(collection.indexOf(record), 1);
+                return {};
+            default:
+                throw httpError(405, 'Method Not Allowed');
+        }
+    }
+
+    /**
+     * Send a request for a resource path
+     * @param {string} path - Resource path (e.g. '/posts/1')
+     * @param {Object} requestOptions - Fetch options
+     * @returns {Promise} Promise that resolves to response data
+     */
+    self.request = function(path, requestOptions) {
+        requestOptions = requestOptions || {};
+
+        var method = (requestOptions.method || 'GET').toUpperCase();
+        var route = parsePath(path);
+
+        return self.ready()
+            .then(function() {
+                return new Promise(function(resolve) {
+                    setTimeout(resolve, self.latency);
+                });
+            })
+            .then(function() {
+                throwIfAborted(requestOptions.signal);
+
+                var body = requestOptions.body ? JSON.parse(requestOptions.body) : null;
+                var meta = {};
+                // Hand out copies so callers can't mutate the fixture state
+                var data = Helpers.deepClone(handle(method, route, body, meta));
+
+                if (!requestOptions.withHeaders) {
+                    return data;
+                }
+
+                var headers = new Headers({ 'Content-Type': 'application/json' });
+                if (meta.total !== undefined) {
+                    headers.set('X-Total-Count', String(meta.total));
+                }
+                return { data: data, headers: headers };
+            })
+            .catch(function(error) {
+                if (!ApiService.isAbortError(error)) {
+                    console.error('Fixture request failed:', method, path, error);
+                }
+                throw error;
+            });
+    };
+
+    /**
+     * The fixture backend is always reachable
+     * @returns {Promise<boolean>} Promise that resolves to true
+     */
+    self.ping = function() {
+        return self.ready().then(function() {
+            return true;
+        });
+    };
+
+    /**
+     * Describe the backend for status displays
+     * @returns {string} Backend location
+     */
+    self.describe = function() {
+        return 'fixtures:' + self.fixturePath;
+    };
+}
@@ -0,0 +1,60 @@
+/**
+ * RestAdapter - Backend adapter for JSONPlaceholder-compatible REST APIs
+ * Resolves resource paths against a configurable base URL
+ */
+function RestAdapter(options) {
+    'use strict';
+
+    var self = this;
+
+    options = options || {};
+
+    self.name = 'rest';
+    self.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+
+    // HTTP transport, ApiService passes its makeRequest in here
+    var transport = options.transport;
+    var PING_TIMEOUT = 5000;
+
+    /**
+     * Send a request for a resource path
+     * @param {string} path - Resource path (e.g. '/posts/1')
+     * @param {Object} requestOptions - Fetch options
+     * @returns {Promise} Promise that resolves to response data
+     */
+    self.request = function(path, requestOptions) {
+        return transport(self.baseUrl + path, requestOptions);
+    };
+
+    /**
+     * Check if the API can be reached
+     * Sent directly rather than through the transport, so the repeated polls
+     * while offline don't log request errors
+     * @returns {Promise<boolean>} Promise that resolves to connectivity status
+     */
+    self.ping = function() {
+        var controller = new AbortController();
+        var timer = setTimeout(function() {
+            controller.abort();
+        }, PING_TIMEOUT);
+
+        return fetch(self.baseUrl + '/posts/1', { method: 'HEAD', signal: controller.signal })
+            .then(function(response) {
+                return response.ok;
+            })
+            .catch(function() {
+                return false;
+            })
+            .finally(function() {
+                clearTimeout(timer);
+            });
+    };
+
+    /**
+     * Describe the backend for status displays
+     * @returns {string} Backend location
+     */
+    self.describe = function() {
+        return self.baseUrl;
+    };
+}
@@ -0,0 +1,94 @@
+/**
+ * Bindings - Custom Knockout bindings shared by the pages
+ * lazyImage: <img data-bind="lazyImage: url"> loads the image once it scrolls
+ * near the viewport and shows a placeholder until then, or if loading fails
+ */
+var Bindings = (function() {
+    'use strict';
+
+    var PLACEHOLDER_IMAGE = 'data:image/svg+xml,' + encodeURIComponent(
+        '<svg xmlns="http://www.w3.org/2000/svg" width="150" height="150" viewBox="0 0 150 150">' +
+        '<rect width="150" height="150" fill="#e9ecef"/>' +
+        '<circle cx="98" cy="52" r="12" fill="#ced4da"/>' +
+        '<path d="M30 112l30-38 20 24 14-16 26 30z" fill="#ced4da"/>' +
+        '</svg>'
+    );
+
+    // Start loading images this far below the viewport
+    var LAZY_MARGIN = '200px';
+
+    var observer = null;
+
+    /**
+     * Swap the placeholder for the real image
+     * @param {HTMLImageElement} element - Image element
+     */
+    function loadImage(element) {
+        var src = element.getAttribute('data-src');
+        if (src && element.getAttribute('src') !== src) {
+            element.src = src;
+        }
+    }
+
+    /**
+     * Get the shared viewport observer, created on first use
+     * @returns {IntersectionObserver|null} Observer, null if the browser has none
+     */
+    function getObserver() {
+        if (!observer && typeof IntersectionObserver === 'function') {
+            observer = new IntersectionObserver(function(entries) {
+                entries.forEach(function(entry) {
+                    if (entry.isIntersecting) {
+                        observer.unobserve(entry.target);
+                        loadImage(entry.target);
+                    }
+                });
+            }, { rootMargin: LAZY_MARGIN });
+        }
+        return observer;
+    }
+
+    var lazyImage = {
+        init: function(element) {
+            element.src = PLACEHOLDER_IMAGE;
+
+            element.addEventListener('load', function() {
+                if (element.getAttribute('src') !== PLACEHOLDER_IMAGE) {
+                    element.classList.add('lazy-image-loaded');
+                }
+            });
+
+            element.addEventListener('error', function() {
+                // The placeholder is inline, so this can't loop
+                element.src = PLACEHOLDER_IMAGE;
+            });
+
+            ko.utils.domNodeDisposal.addDisposeCallback(element, function() {
+                if (observer) {
+                    observer.unobserve(element);
+                }
+            });
+        },
+        update: function(element, valueAccessor) {
+            element.setAttribute('data-src', ko.unwrap(valueAccessor()) || '');
+
+            var viewportObserver = getObserver();
+            if (viewportObserver) {
+                viewportObserver.unobserve(element);
+                viewportObserver.observe(element);
+            } else {
+                loadImage(element);
+            }
+        }
+    };
+
+    ko.bindingHandlers.lazyImage = lazyImage;
+
+    // Public API
+    return {
+        PLACEHOLDER_IMAGE: PLACEHOLDER_IMAGE,
+
+        // Bindings
+        lazyImage: lazyImage
+    };
+})();
@@ -205,6 +205,76 @@ var Helpers = (function() {
         return text.replace(/[&<>"']/g, function(m) { return map[m]; });
     }
 
+    /**
+     * Escape special characters so text can be matched literally in a RegExp
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    function escapeRegExp(text) {
+        if (!text || typeof text !== 'string') return '';
+
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Parse CSV text into rows of fields
+     * Handles quoted fields with commas, line breaks and doubled quotes
+     * @param {string} text - CSV text
+     * @param {string} delimiter - Field delimiter (default: ',')
+     * @returns {Array} Array of rows, each an array of field strings
+     */
+    function parseCsv(text, delimiter) {
+        if (!text || typeof text !== 'string') return [];
+
+        delimiter = delimiter || ',';
+
+        var rows = [];
+        var row = [];
+        var field = '';
+        var inQuotes = false;
+
+        // Strip the byte order mark spreadsheet tools add
+        text = text.replace(/^\uFEFF/, '');
+
+        for (var i = 0; i < text.length; i++) {
+            var char = text.charAt(i);
+
+            if (inQuotes) {
+                if (char === '"' && text.charAt(i + 1) === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text.charAt(i + 1) === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        // Ignore blank lines
+        return rows.filter(function(r) {
+            return r.length > 1 || r[0] !== '';
+        });
+    }
+
     /**
      * Generate a simple hash from string (for cache keys, etc.)
      * @param {string} str - String to hash
@@ -321,6 +391,71 @@ var Helpers = (function() {
         return num.toLocaleString();
     }
 
+    /**
+     * Sort records by a field, as the API's _sort and _order parameters do
+     * Strings are compared case-insensitively
+     * @param {Array} records - Records to sort
+     * @param {string} field - Field name
+     * @param {string} order - 'asc' or 'desc' (default: 'asc')
+     * @returns {Array} Sorted copy of the records
+     */
+    function sortByField(records, field, order) {
+        var direction = order === 'desc' ? -1 : 1;
+
+        /**
+         * Comparable value of a record's field
+         */
+        function valueOf(record) {
+            var value = record[field];
+            return typeof value === 'string' ? value.toLowerCase() : value;
+        }
+
+        return records.slice().sort(function(a, b) {
+            var valueA = valueOf(a);
+            var valueB = valueOf(b);
+
+            if (valueA < valueB) return -direction;
+            if (valueA > valueB) return direction;
+            return 0;
+        });
+    }
+
+    /**
+     * Find a user by ID
+     * @param {Array} users - Loaded users
+     * @param {number|string} userId - User ID
+     * @returns {Object|null} User, null if not loaded
+     */
+    function findUser(users, userId) {
+        return (users || []).find(function(user) {
+            return user.id === parseInt(userId);
+        }) || null;
+    }
+
+    /**
+     * Get the display name of a user
+     * @param {Array} users - Loaded users
+     * @param {number|string} userId - User ID
+     * @returns {string} User name, or "User N" if not loaded
+     */
+    function getUserName(users, userId) {
+        var user = findUser(users, userId);
+        return user ? user.name : 'User ' + userId;
+    }
+
+    /**
+     * Get the email and company of a user
+     * @param {Array} users - Loaded users
+     * @param {number|string} userId - User ID
+     * @returns {string} Details, empty if not loaded
+     */
+    function getUserDetails(users, userId) {
+        var user = findUser(users, userId);
+        if (!user) return '';
+
+        return [user.email, user.company && user.company.name].filter(Boolean).join(' · ');
+    }
+
     /**
      * Generate random ID
      * @param {number} length - ID length
@@ -351,13 +486,23 @@ var Helpers = (function() {
         formatDate: formatDate,
         truncateText: truncateText,
         escapeHtml: escapeHtml,
+        escapeRegExp: escapeRegExp,
+
+        // Parsing
+        parseCsv: parseCsv,
         formatNumber: formatNumber,
 
         // Object utilities
         simpleHash: simpleHash,
         deepClone: deepClone,
+        sortByField: sortByField,
         generateId: generateId,
 
+        // Users
+        findUser: findUser,
+        getUserName: getUserName,
+        getUserDetails: getUserDetails,
+
         // DOM utilities
         isMobile: isMobile,
         getViewportSize: getViewportSize,
@@ -0,0 +1,292 @@
+/**
+ * Markdown - Small Markdown renderer for post bodies
+ * Input is escaped with Helpers.escapeHtml before any markup is added, so raw
+ * HTML in a post is shown as text; links are limited to safe URL schemes
+ */
+var Markdown = (function() {
+    'use strict';
+
+    // Marks protected spans (code, links) while inline rules run
+    var PLACEHOLDER = '\u0000';
+
+    var SAFE_URL = /^(https?:\/\/|mailto:|\/|#)/i;
+
+    // [label](url), the URL may contain balanced parentheses like foo_(bar)
+    var LINK = /\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g;
+
+    var PATTERNS = {
+        fence: /^\s*```/,
+        heading: /^(#{1,6})\s+(.*?)\s*#*\s*$/,
+        rule: /^\s*([-*_])(\s*\1){2,}\s*$/,
+        bullet: /^\s*[-*+]\s+(.*)$/,
+        numbered: /^\s*\d+[.)]\s+(.*)$/,
+        quote: /^\s*>\s?(.*)$/,
+        blank: /^\s*$/
+    };
+
+    // Toolbar formats: wrap the selection or prefix each selected line
+    var FORMATS = {
+        bold: { wrap: '**', placeholder: 'bold text' },
+        italic: { wrap: '_', placeholder: 'italic text' },
+        code: { wrap: '`', placeholder: 'code' },
+        heading: { prefix: '## ' },
+        bulletList: { prefix: '- ' },
+        numberedList: { prefix: function(index) { return (index + 1) + '. '; } },
+        link: { link: true, placeholder: 'link text' }
+    };
+
+    /**
+     * Apply bold, italic and strikethrough to escaped text
+     * @param {string} text - Escaped text
+     * @returns {string} HTML
+     */
+    function renderEmphasis(text) {
+        return text
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+    }
+
+    /**
+     * Render inline Markdown (code, links, emphasis) of a single block
+     * @param {string} text - Raw text
+     * @returns {string} Safe HTML
+     */
+    function renderInline(text) {
+        var protectedSpans = [];
+
+        function protect(html) {
+            protectedSpans.push(html);
+            return PLACEHOLDER + (protectedSpans.length - 1) + PLACEHOLDER;
+        }
+
+        var html = Helpers.escapeHtml(String(text || '').split(PLACEHOLDER).join(''));
+
+        html = html.replace(/`([^`]+)`/g, function(match, code) {
+            return protect('<code>' + code + '</code>');
+        });
+
+        html = html.replace(LINK, function(match, label, url) {
+            if (!SAFE_URL.test(url)) {
+                return label;
+            }
+            return protect('<a href="' + url + '" target="_blank" rel="noopener noreferrer">' +
+                renderEmphasis(label) + '</a>');
+        });
+
+        html = renderEmphasis(html);
+
+        // Protected spans can contain others, e.g. code in a link label
+        var placeholders = new RegExp(PLACEHOLDER + '(\\d+)' + PLACEHOLDER, 'g');
+        var previous;
+        do {
+            previous = html;
+            html = html.replace(placeholders, function(match, index) {
+                return protectedSpans[index];
+            });
+        } while (html !== previous);
+
+        return html;
+    }
+
+    /**
+     * Render Markdown to HTML
+     * Supports headings, paragraphs, line breaks, lists, quotes, rules and fenced code
+     * @param {string} text - Markdown text
+     * @returns {string} Safe HTML
+     */
+    function toHtml(text) {
+        var lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+        var html = [];
+        var paragraph = [];
+        var list = null;
+        var i = 0;
+        var match;
+
+        function flushParagraph() {
+            if (paragraph.length > 0) {
+                html.push('<p>' + paragraph.map(renderInline).join('<br>') + '</p>');
+                paragraph = [];
+            }
+        }
+
+        function flushList() {
+            if (list) {
+                html.push('<' + list.tag + '>' + list.items.map(function(item) {
+                    return '<li>' + renderInline(item) + '</li>';
+                }).join('') + '</' + list.tag + '>');
+                list = null;
+            }
+        }
+
+        function addListItem(tag, item) {
+            flushParagraph();
+            if (list && list.tag !== tag) {
+                flushList();
+            }
+            list = list || { tag: tag, items: [] };
+            list.items.push(item);
+        }
+
+        while (i < lines.length) {
+            var line = lines[i];
+
+            if (PATTERNS.fence.test(line)) {
+                flushParagraph();
+                flushList();
+
+                var code = [];
+                for (i++; i < lines.length && !PATTERNS.fence.test(lines[i]); i++) {
+                    code.push(lines[i]);
+                }
+                html.push('<pre><code>' + Helpers.escapeHtml(code.join('\n')) + '</code></pre>');
+                i++;
+                continue;
+            }
+
+            if ((match = line.match(PATTERNS.heading))) {
+                flushParagraph();
+                flushList();
+                var level = match[1].length;
+                html.push('<h' + level + '>' + renderInline(match[2]) + '</h' + level + '>');
+            } else if (PATTERNS.rule.test(line)) {
+                flushParagraph();
+                flushList();
+                html.push('<hr>');
+            } else if ((match = line.match(PATTERNS.bullet))) {
+                addListItem('ul', match[1]);
+            } else if ((match = line.match(PATTERNS.numbered))) {
+                addListItem('ol', match[1]);
+            } else if (PATTERNS.quote.test(line)) {
+                flushParagraph();
+                flushList();
+
+                var quoted = [];
+                for (; i < lines.length && (match = lines[i].match(PATTERNS.quote)); i++) {
+                    quoted.push(match[1]);
+                }
+                html.push('<blockquote>' + toHtml(quoted.join('\n')) + '</blockquote>');
+                continue;
+            } else if (PATTERNS.blank.test(line)) {
+                flushParagraph();
+                flushList();
+            } else if (list && /^\s/.test(line)) {
+                // Indented line continues the previous list item
+                list.items[list.items.length - 1] += ' ' + line.trim();
+            } else {
+                flushList();
+                paragraph.push(line);
+            }
+
+            i++;
+        }
+
+        flushParagraph();
+        flushList();
+
+        return html.join('\n');
+    }
+
+    /**
+     * Remove block syntax (headings, list markers, quotes, fences) but keep inline syntax
+     * @param {string} text - Markdown text
+     * @returns {string} Text on a single line
+     */
+    function stripBlocks(text) {
+        return String(text || '')
+            .split(/\r\n?|\n/)
+            .filter(function(line) {
+                return !PATTERNS.fence.test(line) && !PATTERNS.rule.test(line);
+            })
+            .map(function(line) {
+                return line
+                    .replace(/^(#{1,6})\s+/, '')
+                    .replace(/^\s*>\s?/, '')
+                    .replace(/^\s*([-*+]|\d+[.)])\s+/, '');
+            })
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Remove all Markdown syntax, for search excerpts and plain text contexts
+     * @param {string} text - Markdown text
+     * @returns {string} Plain text on a single line
+     */
+    function toPlainText(text) {
+        return stripBlocks(text)
+            .replace(/`([^`]+)`/g, '$1')
+            .replace(LINK, '$1')
+            .replace(/(\*\*|~~)(?=\S)(.*?\S)\1/g, '$2')
+            .replace(/(^|[^\w])__(?=\S)(.*?\S)__(?!\w)/g, '$1$2')
+            .replace(/\*(?=\S)([^*]*?\S)\*/g, '$1')
+            .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1$2');
+    }
+
+    /**
+     * Apply a toolbar format to the selected part of a text
+     * @param {string} text - Current text
+     * @param {number} start - Selection start
+     * @param {number} end - Selection end
+     * @param {string} format - Key of FORMATS (e.g. 'bold', 'bulletList')
+     * @returns {Object} New text with selectionStart and selectionEnd
+     */
+    function applyFormat(text, start, end, format) {
+        var rule = FORMATS[format];
+        text = String(text || '');
+        if (!rule) {
+            return { text: text, selectionStart: start, selectionEnd: end };
+        }
+
+        var before = text.substring(0, start);
+        var selected = text.substring(start, end);
+        var after = text.substring(end);
+
+        if (rule.prefix) {
+            // Extend the selection to whole lines
+            var lineStart = before.lastIndexOf('\n') + 1;
+            var newlineAfter = after.indexOf('\n');
+            var lineEnd = end + (newlineAfter === -1 ? after.length : newlineAfter);
+
+            var block = text.substring(lineStart, lineEnd).split('\n').map(function(line, index) {
+                var prefix = typeof rule.prefix === 'function' ? rule.prefix(index) : rule.prefix;
+                return prefix + line;
+            }).join('\n');
+
+            return {
+                text: text.substring(0, lineStart) + block + text.substring(lineEnd),
+                selectionStart: lineStart,
+                selectionEnd: lineStart + block.length
+            };
+        }
+
+        var content = selected || rule.placeholder;
+        var opening = rule.link ? '[' : rule.wrap;
+        var closing = rule.link ? '](https://)' : rule.wrap;
+
+        return {
+            text: before + opening + content + closing + after,
+            selectionStart: start + opening.length,
+            selectionEnd: start + opening.length + content.length
+        };
+    }
+
+    // Public API
+    return {
+        FORMATS: Object.keys(FORMATS),
+
+        // Rendering
+        toHtml: toHtml,
+        renderInline: renderInline,
+
+        // Plain text
+        stripBlocks: stripBlocks,
+        toPlainText: toPlainText,
+
+        // Editing
+        applyFormat: applyFormat
+    };
+})();
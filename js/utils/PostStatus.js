@@ -0,0 +1,148 @@
+/**
+ * PostStatus - Publishing workflow of posts
+ * A post is a draft, in review, published or archived; the status and the
+ * list of transitions (who moved it and when) are stored on the post itself
+ */
+var PostStatus = (function() {
+    'use strict';
+
+    var STATUSES = {
+        DRAFT: 'draft',
+        REVIEW: 'review',
+        PUBLISHED: 'published',
+        ARCHIVED: 'archived'
+    };
+
+    // Server posts without a status are live, so they count as published
+    var DEFAULT_STATUS = STATUSES.PUBLISHED;
+
+    // In workflow order, also the order of filters, badges and analytics
+    var OPTIONS = [
+        { value: STATUSES.DRAFT, label: 'Draft', css: 'bg-secondary' },
+        { value: STATUSES.REVIEW, label: 'In review', css: 'bg-info text-dark' },
+        { value: STATUSES.PUBLISHED, label: 'Published', css: 'bg-primary' },
+        { value: STATUSES.ARCHIVED, label: 'Archived', css: 'bg-dark' }
+    ];
+
+    // Allowed moves from each status, with the label of the action
+    var TRANSITIONS = {
+        draft: [
+            { to: STATUSES.REVIEW, label: 'Submit for review' },
+            { to: STATUSES.ARCHIVED, label: 'Archive' }
+        ],
+        review: [
+            { to: STATUSES.PUBLISHED, label: 'Publish' },
+            { to: STATUSES.DRAFT, label: 'Back to draft' }
+        ],
+        published: [
+            { to: STATUSES.DRAFT, label: 'Unpublish' },
+            { to: STATUSES.ARCHIVED, label: 'Archive' }
+        ],
+        archived: [
+            { to: STATUSES.DRAFT, label: 'Restore as draft' }
+        ]
+    };
+
+    /**
+     * Get the status of a post
+     * @param {Object} post - Post object
+     * @returns {string} Status, DEFAULT_STATUS if missing or unknown
+     */
+    function getStatus(post) {
+        var status = post && post.status;
+        return TRANSITIONS.hasOwnProperty(status) ? status : DEFAULT_STATUS;
+    }
+
+    /**
+     * Get the display option of a status
+     * @param {string} status - Status value
+     * @returns {Object} Option with value, label and css
+     */
+    function getOption(status) {
+        return OPTIONS.find(function(option) {
+            return option.value === status;
+        }) || getOption(DEFAULT_STATUS);
+    }
+
+    /**
+     * Get the transitions allowed from a status
+     * @param {string} status - Current status
+     * @returns {Array} Transitions as { to, label }
+     */
+    function getTransitions(status) {
+        return TRANSITIONS[status] || [];
+    }
+
+    /**
+     * Check if a post may move from one status to another
+     * @param {string} from - Current status
+     * @param {string} to - New status
+     * @returns {boolean} True if the transition is allowed
+     */
+    function canTransition(from, to) {
+        return getTransitions(from).some(function(transition) {
+            return transition.to === to;
+        });
+    }
+
+    /**
+     * Build the changes that move a post to a new status
+     * @param {Object} post - Post object, its status history is kept
+     * @param {string} to - New status
+     * @param {string} changedBy - Email of the user making the change
+     * @returns {Object} Changes with status and statusHistory, for ApiService.patchPost
+     */
+    function transition(post, to, changedBy) {
+        var from = getStatus(post);
+        if (!canTransition(from, to)) {
+            throw new Error('Cannot move a post from ' + getOption(from).label + ' to ' + getOption(to).label);
+        }
+
+        return {
+            status: to,
+            statusHistory: (post.statusHistory || []).concat([{
+                from: from,
+                to: to,
+                changedBy: changedBy || '',
+                changedAt: new Date().toISOString()
+            }])
+        };
+    }
+
+    /**
+     * Count posts per status
+     * @param {Array} posts - Posts
+     * @returns {Object} Counts keyed by status, every status included
+     */
+    function countByStatus(posts) {
+        var counts = {};
+        OPTIONS.forEach(function(option) {
+            counts[option.value] = 0;
+        });
+
+        posts.forEach(function(post) {
+            counts[getStatus(post)]++;
+        });
+
+        return counts;
+    }
+
+    // Public API
+    return {
+        STATUSES: STATUSES,
+        DEFAULT_STATUS: DEFAULT_STATUS,
+        OPTIONS: OPTIONS,
+
+        // Lookup
+        getStatus: getStatus,
+        getOption: getOption,
+
+        // Workflow
+        getTransitions: getTransitions,
+        canTransition: canTransition,
+        transition: transition,
+
+        // Statistics
+        countByStatus: countByStatus
+    };
+})();
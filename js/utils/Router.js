@@ -1,60 +1,194 @@
 /**
- * Router - Simple hash-based router for SPA navigation
- * Handles route changes and viewmodel switching
+ * Router - Hash-based router for SPA navigation
+ * Routes are registered by name with a path pattern: static segments,
+ * ':param', optional ':param?' and wildcard '*param' segments (e.g.
+ * 'users/:userId/albums/:albumId?'). A route may be nested under a parent
+ * layout route, whose handler runs before the child's on every match
+ * In the default 'hash' mode URLs look like #posts/5, in 'history' mode
+ * they are clean paths under a base (e.g. /app/posts/5), changed with
+ * pushState, and same-origin links are handled without reloading the page
  */
 var Router = (function() {
     'use strict';
 
     var routes = {};
+    // Route names in registration order, which is also the matching order
+    var routeOrder = [];
     var currentRoute = null;
     var defaultRoute = 'login';
+    var isStarted = false;
+
+    // 'hash' or 'history', and the path history mode URLs start with
+    var mode = 'hash';
+    var basePath = '';
     var beforeRouteChangeCallbacks = [];
     var afterRouteChangeCallbacks = [];
 
+    /**
+     * Remove leading and trailing slashes
+     * @param {string} path - Path
+     * @returns {string} Trimmed path
+     */
+    function trimSlashes(path) {
+        return String(path || '').replace(/^\/+|\/+$/g, '');
+    }
+
+    /**
+     * Decode a URL component, keeping malformed escapes as they are
+     * @param {string} text - Encoded text
+     * @returns {string} Decoded text
+     */
+    function safeDecode(text) {
+        try {
+            return decodeURIComponent(text);
+        } catch (error) {
+            return text;
+        }
+    }
+
+    /**
+     * Split a path pattern into segments
+     * @param {string} pattern - Path pattern (e.g. 'posts/:id')
+     * @returns {Array} Segments as { type: 'static'|'param'|'wildcard', value, optional }
+     */
+    function parsePattern(pattern) {
+        return trimSlashes(pattern).split('/').filter(Boolean).map(function(segment) {
+            var match = segment.match(/^:(\w+)(\?)?$/);
+            if (match) {
+                return { type: 'param', value: match[1], optional: !!match[2] };
+            }
+
+            match = segment.match(/^\*(\w*)$/);
+            if (match) {
+                return { type: 'wildcard', value: match[1] || 'wildcard', optional: true };
+            }
+
+            return { type: 'static', value: segment, optional: false };
+        });
+    }
+
+    /**
+     * Build the regular expression matching a pattern's paths
+     * @param {Array} segments - Segments from parsePattern
+     * @returns {RegExp} Expression capturing the parameters in segment order
+     */
+    function compilePattern(segments) {
+        var source = segments.map(function(segment, index) {
+            var slash = index === 0 ? '' : '\\/';
+
+            switch (segment.type) {
+                case 'param':
+                    return segment.optional ? '(?:' + slash + '([^/]+))?' : slash + '([^/]+)';
+                case 'wildcard':
+                    return '(?:' + slash + '(.*))?';
+                default:
+                    return slash + Helpers.escapeRegExp(segment.value);
+            }
+        }).join('');
+
+        return new RegExp('^' + source + '$');
+    }
+
     /**
      * Register a route with its handler
-     * @param {string} path - Route path (without #)
-     * @param {Function} handler - Route handler function
+     * @param {string} name - Route name, used to navigate and build URLs
+     * @param {Function} handler - Route handler function, receives params and the previous route
      * @param {Object} options - Route options
+     * @param {string} options.path - Path pattern, relative to the parent's (default: the name)
+     * @param {string} options.parent - Name of the parent layout route, registered before
+     * @param {boolean} options.requiresAuth - Only for logged in users (default: the parent's)
+     * @param {string} options.title - Document title
      */
-    function addRoute(path, handler, options) {
+    function addRoute(name, handler, options) {
         options = options || {};
-        
-        routes[path] = {
+
+        var parent = options.parent ? routes[options.parent] : null;
+        if (options.parent && !parent) {
+            throw new Error('Parent route not found: ' + options.parent);
+        }
+
+        var path = options.path !== undefined ? options.path : name;
+        var pattern = parent ? trimSlashes(parent.pattern + '/' + trimSlashes(path)) : trimSlashes(path);
+        var segments = parsePattern(pattern);
+
+        routes[name] = {
+            name: name,
             handler: handler,
-            requiresAuth: options.requiresAuth || false,
-            title: options.title || '',
+            parent: parent ? parent.name : null,
+            children: [],
+            pattern: pattern,
+            segments: segments,
+            regex: compilePattern(segments),
+            requiresAuth: options.requiresAuth !== undefined ? options.requiresAuth : (parent ? parent.requiresAuth : false),
+            title: options.title || (parent ? parent.title : ''),
             params: options.params || []
         };
+
+        if (parent) {
+            parent.children.push(name);
+        }
+        if (routeOrder.indexOf(name) === -1) {
+            routeOrder.push(name);
+        }
     }
 
     /**
      * Navigate to a specific route
-     * @param {string} path - Route path
-     * @param {Object} params - Route parameters
+     * @param {string} name - Route name
+     * @param {Object} params - Path and query parameters
      * @param {boolean} replace - Replace current history entry
      */
-    function navigate(path, params, replace) {
-        params = params || {};
-        
-        var hash = '#' + path;
-        
-        if (Object.keys(params).length > 0) {
-            var queryString = Object.keys(params)
-                .map(function(key) {
-                    return encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
-                })
-                .join('&');
-            hash += '?' + queryString;
-        }
-
-        if (replace) {
-            window.location.replace(hash);
+    function navigate(name, params, replace) {
+        var url = generateUrl(name, params);
+
+        // Same URL: neither mode reports a change, so nothing is dispatched
+        if (url === getCurrentUrl()) {
+            return;
+        }
+
+        if (mode === 'history') {
+            if (replace) {
+                window.history.replaceState(null, '', url);
+            } else {
+                window.history.pushState(null, '', url);
+            }
+
+            // pushState and replaceState fire no event
+            dispatch();
+        } else if (replace) {
+            window.location.replace(url);
         } else {
-            window.location.hash = hash;
+            window.location.hash = url;
         }
     }
 
+    /**
+     * Get the current URL in the form generateUrl returns
+     * @returns {string} '#path?query' in hash mode, '/base/path?query' in history mode
+     */
+    function getCurrentUrl() {
+        if (mode === 'history') {
+            return window.location.pathname + window.location.search;
+        }
+        return window.location.hash;
+    }
+
+    /**
+     * Get the route part of a URL: the hash without '#', or the path below the base
+     * @param {string} url - URL from generateUrl or getCurrentUrl
+     * @returns {string|null} 'path?query', null if a history mode URL is outside the base
+     */
+    function toRoutePath(url) {
+        if (mode !== 'history') {
+            return url.replace(/^#/, '');
+        }
+
+        if (url !== basePath && url.indexOf(basePath + '/') !== 0 && url.indexOf(basePath + '?') !== 0) {
+            return null;
+        }
+        return url.substring(basePath.length).replace(/^\//, '');
+    }
+
     /**
      * Get current route information
      * @returns {Object} Current route info
@@ -63,36 +197,119 @@ var Router = (function() {
         return currentRoute;
     }
 
+    /**
+     * Parse a query string
+     * Values may contain '=', '+' stands for a space, keys without a value
+     * are empty strings and repeated keys collect their values in an array
+     * @param {string} queryString - Query string without the leading '?'
+     * @returns {Object} Parameters
+     */
+    function parseQuery(queryString) {
+        var params = {};
+
+        String(queryString || '').split('&').forEach(function(pair) {
+            if (!pair) return;
+
+            var index = pair.indexOf('=');
+            var key = safeDecode((index === -1 ? pair : pair.substring(0, index)).replace(/\+/g, ' '));
+            var value = index === -1 ? '' : safeDecode(pair.substring(index + 1).replace(/\+/g, ' '));
+
+            if (!key) return;
+
+            if (!params.hasOwnProperty(key)) {
+                params[key] = value;
+            } else if (Array.isArray(params[key])) {
+                params[key].push(value);
+            } else {
+                params[key] = [params[key], value];
+            }
+        });
+
+        return params;
+    }
+
+    /**
+     * Build a query string, skipping empty parameters and repeating keys of arrays
+     * @param {Object} params - Parameters
+     * @returns {string} Query string without the leading '?'
+     */
+    function buildQuery(params) {
+        var pairs = [];
+
+        Object.keys(params || {}).forEach(function(key) {
+            var values = Array.isArray(params[key]) ? params[key] : [params[key]];
+            values.forEach(function(value) {
+                if (value !== undefined && value !== null) {
+                    pairs.push(encodeURIComponent(key) + '=' + encodeURIComponent(value));
+                }
+            });
+        });
+
+        return pairs.join('&');
+    }
+
+    /**
+     * Find the route matching a path
+     * @param {string} path - Path without the query string
+     * @returns {Object|null} Match as { route, params }, null if no route matches
+     */
+    function matchPath(path) {
+        path = trimSlashes(path);
+
+        for (var i = 0; i < routeOrder.length; i++) {
+            var route = routes[routeOrder[i]];
+
+            // Layouts are only reached through their children
+            if (route.children.length > 0) continue;
+
+            var match = path.match(route.regex);
+            if (!match) continue;
+
+            var params = {};
+            route.segments.filter(function(segment) {
+                return segment.type !== 'static';
+            }).forEach(function(segment, index) {
+                var value = match[index + 1];
+                if (value !== undefined && value !== '') {
+                    params[segment.value] = segment.type === 'wildcard' ?
+                        value.split('/').map(safeDecode).join('/') : safeDecode(value);
+                }
+            });
+
+            return { route: route, params: params };
+        }
+
+        return null;
+    }
+
     /**
      * Parse hash to extract route and parameters
-     * @param {string} hash - Window hash
-     * @returns {Object} Parsed route info
+     * @param {string} hash - Window hash, or 'path?query' (default: the current URL)
+     * @returns {Object} Route info as { name, path, params, query }, name is null
+     *                   if no route matches; params include the query parameters
      */
     function parseHash(hash) {
-        hash = hash || window.location.hash;
-        
+        hash = hash === undefined ? (toRoutePath(getCurrentUrl()) || '') : hash;
+
         // Remove # from beginning
         hash = hash.replace(/^#/, '');
-        
-        if (!hash) {
-            return { path: defaultRoute, params: {} };
-        }
 
-        var parts = hash.split('?');
-        var path = parts[0] || defaultRoute;
-        var queryString = parts[1] || '';
-        
-        var params = {};
-        if (queryString) {
-            queryString.split('&').forEach(function(param) {
-                var keyValue = param.split('=');
-                if (keyValue.length === 2) {
-                    params[decodeURIComponent(keyValue[0])] = decodeURIComponent(keyValue[1]);
-                }
-            });
+        var index = hash.indexOf('?');
+        var path = trimSlashes(index === -1 ? hash : hash.substring(0, index));
+        var query = parseQuery(index === -1 ? '' : hash.substring(index + 1));
+
+        if (!path) {
+            path = routes[defaultRoute] ? buildPath(defaultRoute) : defaultRoute;
         }
 
-        return { path: path, params: params };
+        var match = matchPath(path);
+
+        return {
+            name: match ? match.route.name : null,
+            path: path,
+            params: Object.assign({}, query, match ? match.params : {}),
+            query: query
+        };
     }
 
     /**
@@ -103,14 +320,62 @@ var Router = (function() {
         return StorageService.isLoggedIn();
     }
 
+    /**
+     * Get a route and its parent layouts, outermost first
+     * @param {Object} route - Route
+     * @returns {Array} Routes from the top layout down to the route
+     */
+    function getRouteChain(route) {
+        var chain = [];
+        for (var current = route; current; current = routes[current.parent]) {
+            chain.unshift(current);
+        }
+        return chain;
+    }
+
+    /**
+     * Map the 'id' query parameter of an old link onto the route's path parameter
+     * @param {Object} route - Route the old link names
+     * @param {Object} query - Query parameters of the old link
+     * @returns {Object} Parameters for navigate
+     */
+    function legacyParams(route, query) {
+        var params = Object.assign({}, query);
+        if (params.id === undefined) {
+            return params;
+        }
+
+        // The first required path parameter the link doesn't already give
+        var target = route.segments.filter(function(segment) {
+            return segment.type === 'param' && !segment.optional && params[segment.value] === undefined;
+        })[0];
+
+        if (target && target.value !== 'id') {
+            params[target.value] = params.id;
+            delete params.id;
+        }
+
+        return params;
+    }
+
     /**
      * Handle route change
-     * @param {Object} routeInfo - Route information
+     * @param {Object} routeInfo - Route information from parseHash
      */
     function handleRouteChange(routeInfo) {
-        var route = routes[routeInfo.path];
-        
+        var route = routes[routeInfo.name];
+
         if (!route) {
+            // Links from before path parameters name the route, e.g. #detail?id=5 or #user?id=3
+            if (routes[routeInfo.path]) {
+                try {
+                    navigate(routeInfo.path, legacyParams(routes[routeInfo.path], routeInfo.query), true);
+                    return;
+                } catch (error) {
+                    console.warn('Cannot redirect old link:', error.message);
+                }
+            }
+
             console.warn('Route not found:', routeInfo.path);
             navigate(defaultRoute, {}, true);
             return;
@@ -124,7 +389,7 @@ var Router = (function() {
         }
 
         // Redirect to posts if already logged in and trying to access login
-        if (routeInfo.path === 'login' && isAuthenticated()) {
+        if (route.name === 'login' && isAuthenticated()) {
             navigate('posts', {}, true);
             return;
         }
@@ -148,10 +413,15 @@ var Router = (function() {
 
         // Update current route
         var previousRoute = currentRoute;
+        var chain = getRouteChain(route);
         currentRoute = {
+            name: route.name,
             path: routeInfo.path,
             params: routeInfo.params,
-            route: route
+            route: route,
+            chain: chain.map(function(chainRoute) {
+                return chainRoute.name;
+            })
         };
 
         // Update document title
@@ -159,12 +429,16 @@ var Router = (function() {
             document.title = route.title + ' - Post Management';
         }
 
-        // Execute route handler
-        try {
-            route.handler(routeInfo.params, previousRoute);
-        } catch (error) {
-            console.error('Error executing route handler:', error);
-        }
+        // Execute layout handlers, then the route handler
+        chain.forEach(function(chainRoute) {
+            if (typeof chainRoute.handler !== 'function') return;
+
+            try {
+                chainRoute.handler(routeInfo.params, previousRoute);
+            } catch (error) {
+                console.error('Error executing route handler:', chainRoute.name, error);
+            }
+        });
 
         // Execute after route change callbacks
         afterRouteChangeCallbacks.forEach(function(callback) {
@@ -176,25 +450,106 @@ var Router = (function() {
         });
     }
 
+    /**
+     * Route the current URL
+     */
+    function dispatch() {
+        handleRouteChange(parseHash());
+    }
+
+    /**
+     * Handle clicks on links to the app's own pages in history mode
+     * Clicks already handled by a binding, opening a new tab or a download,
+     * and links leaving the base path are left to the browser
+     * @param {MouseEvent} event - Click event
+     */
+    function handleLinkClick(event) {
+        if (event.defaultPrevented || event.button !== 0 ||
+            event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+            return;
+        }
+
+        var link = event.target.closest ? event.target.closest('a[href]') : null;
+        if (!link || link.hasAttribute('download') || (link.target && link.target !== '_self')) {
+            return;
+        }
+
+        var href = link.getAttribute('href');
+        if (href === '#') {
+            return;
+        }
+
+        var url = new URL(link.href, window.location.href);
+        if (url.origin !== window.location.origin) {
+            return;
+        }
+
+        // Hash mode links, e.g. from older bookmarks
+        var routePath = href.charAt(0) === '#' ? href.substring(1) : toRoutePath(url.pathname + url.search);
+        if (routePath === null) {
+            return;
+        }
+
+        var routeInfo = parseHash(routePath);
+        if (!routeInfo.name) {
+            return;
+        }
+
+        event.preventDefault();
+
+        var nextUrl = basePath + '/' + routePath.replace(/^\/+/, '');
+        if (nextUrl !== getCurrentUrl()) {
+            window.history.pushState(null, '', nextUrl);
+            dispatch();
+        }
+    }
+
     /**
      * Initialize the router
+     * @param {Object} options - Router options
+     * @param {string} options.mode - 'hash' (default) or 'history'
+     * @param {string} options.base - Path history mode URLs start with, e.g. '/app'
      */
-    function init() {
-        // Handle initial route
-        var initialRoute = parseHash();
-        handleRouteChange(initialRoute);
+    function init(options) {
+        options = options || {};
 
-        // Listen for hash changes
-        window.addEventListener('hashchange', function() {
-            var routeInfo = parseHash();
-            handleRouteChange(routeInfo);
-        });
+        if (isStarted) {
+            console.warn('Router already initialized');
+            return;
+        }
+        isStarted = true;
 
-        // Handle browser back/forward buttons
-        window.addEventListener('popstate', function() {
-            var routeInfo = parseHash();
-            handleRouteChange(routeInfo);
-        });
+        mode = options.mode === 'history' && window.history && typeof window.history.pushState === 'function' ?
+            'history' : 'hash';
+        basePath = mode === 'history' && trimSlashes(options.base) ? '/' + trimSlashes(options.base) : '';
+
+        if (options.mode === 'history' && mode !== 'history') {
+            console.warn('History API not available, using hash URLs');
+        }
+
+        // Each mode listens to one event, so back/forward dispatches once
+        if (mode === 'history') {
+            // Move hash URLs from bookmarks to clean paths
+            if (/^#./.test(window.location.hash)) {
+                window.history.replaceState(null, '', basePath + '/' + window.location.hash.substring(1).replace(/^\/+/, ''));
+            }
+
+            window.addEventListener('popstate', dispatch);
+            document.addEventListener('click', handleLinkClick);
+        } else {
+            window.addEventListener('hashchange', dispatch);
+        }
+
+        // Handle initial route
+        dispatch();
+    }
+
+    /**
+     * Get the routing mode
+     * @returns {string} 'hash' or 'history'
+     */
+    function getMode() {
+        return mode;
     }
 
     /**
@@ -240,42 +595,78 @@ var Router = (function() {
 
     /**
      * Check if a route exists
-     * @param {string} path - Route path
+     * @param {string} name - Route name
      * @returns {boolean} True if route exists
      */
-    function hasRoute(path) {
-        return routes.hasOwnProperty(path);
+    function hasRoute(name) {
+        return routes.hasOwnProperty(name);
+    }
+
+    /**
+     * Check if a route, or a layout route, is part of the current route
+     * @param {string} name - Route name
+     * @returns {boolean} True if the current route is the route or one of its children
+     */
+    function isActive(name) {
+        return !!currentRoute && currentRoute.chain.indexOf(name) !== -1;
     }
 
     /**
      * Generate URL for a route
-     * @param {string} path - Route path
+     * Parameters of the path pattern fill its segments, the rest become the query
+     * @param {string} name - Route name (an unknown name is used as the path)
+     * @param {Object} params - Route parameters
+     * @returns {string} '#path?query' in hash mode, '/base/path?query' in history mode
+     * @throws {Error} If a required path parameter is missing
+     */
+    function generateUrl(name, params) {
+        var path = buildPath(name, params);
+        return mode === 'history' ? basePath + '/' + path : '#' + path;
+    }
+
+    /**
+     * Build the route part of a URL
+     * @param {string} name - Route name (an unknown name is used as the path)
      * @param {Object} params - Route parameters
-     * @returns {string} Generated URL
+     * @returns {string} 'path?query'
+     * @throws {Error} If a required path parameter is missing
      */
-    function generateUrl(path, params) {
-        params = params || {};
-        
-        var url = '#' + path;
-        
-        if (Object.keys(params).length > 0) {
-            var queryString = Object.keys(params)
-                .map(function(key) {
-                    return encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
-                })
-                .join('&');
-            url += '?' + queryString;
+    function buildPath(name, params) {
+        var query = Object.assign({}, params);
+        var route = routes[name];
+        var path = name;
+
+        if (route) {
+            path = route.segments.map(function(segment) {
+                if (segment.type === 'static') {
+                    return segment.value;
+                }
+
+                var value = query[segment.value];
+                delete query[segment.value];
+
+                if (value === undefined || value === null || value === '') {
+                    if (segment.optional) return null;
+                    throw new Error('Missing parameter "' + segment.value + '" for route ' + name);
+                }
+
+                return segment.type === 'wildcard' ?
+                    String(value).split('/').map(encodeURIComponent).join('/') :
+                    encodeURIComponent(value);
+            }).filter(function(segment) {
+                return segment !== null;
+            }).join('/');
         }
 
-        return url;
+        var queryString = buildQuery(query);
+        return path + (queryString ? '?' + queryString : '');
     }
 
     /**
      * Refresh current route
      */
     function refresh() {
-        var routeInfo = parseHash();
-        handleRouteChange(routeInfo);
+        dispatch();
     }
 
     /**
@@ -332,6 +723,8 @@ var Router = (function() {
         getRoutes: getRoutes,
         hasRoute: hasRoute,
         generateUrl: generateUrl,
+        getCurrentUrl: getCurrentUrl,
+        getMode: getMode,
 
         // Parameters
         getParams: getParams,
@@ -351,6 +744,9 @@ var Router = (function() {
 
         // Utilities
         parseHash: parseHash,
+        parseQuery: parseQuery,
+        buildQuery: buildQuery,
+        isActive: isActive,
         isAuthenticated: isAuthenticated
     };
 })();
@@ -0,0 +1,357 @@
+/**
+ * SearchIndex - Client-side full text search over posts
+ * Tokenizes title and body, matches query terms fuzzily (prefixes and typos),
+ * ranks results with per-field weights and supports field-scoped terms such as
+ * "title:foo user:3"
+ */
+function SearchIndex(options) {
+    'use strict';
+
+    var self = this;
+
+    options = options || {};
+
+    // Searchable fields and their relevance weights
+    self.fields = options.fields || { title: 3, body: 1 };
+
+    // Query prefixes that filter on a record property instead of searching text
+    var FILTER_FIELDS = {
+        user: 'userId',
+        author: 'userId',
+        userid: 'userId',
+        id: 'id'
+    };
+
+    // Match scores by kind of match
+    var EXACT_SCORE = 1;
+    var PREFIX_SCORE = 0.8;
+    var FUZZY_SCORE = 0.6;
+
+    // Dotless i has no ASCII decomposition, keep it as a word character
+    var WORD_SPLIT = /[^a-z0-9\u0131]+/;
+    var WORD_SPLIT_CAPTURE = /([^A-Za-z0-9\u00C0-\u024F\u0130\u0131]+)/;
+
+    var entries = [];
+    var matchCache = {};
+
+    /**
+     * Normalize a word for comparison (lowercase, accents removed)
+     * @param {string} text - Text to normalize
+     * @returns {string} Normalized text
+     */
+    function normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '');
+    }
+
+    /**
+     * Split text into normalized tokens
+     * @param {string} text - Text to tokenize
+     * @returns {Array} Array of tokens
+     */
+    function tokenize(text) {
+        return normalize(text).split(WORD_SPLIT).filter(function(token) {
+            return token !== '';
+        });
+    }
+
+    /**
+     * Edit distance allowing adjacent transpositions (optimal string alignment)
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @param {number} maxDistance - Stop early once the distance exceeds this
+     * @returns {number} Edit distance (maxDistance + 1 when exceeded)
+     */
+    function editDistance(a, b, maxDistance) {
+        if (Math.abs(a.length - b.length) > maxDistance) {
+            return maxDistance + 1;
+        }
+
+        var previousRow = null;
+        var row = [];
+        var i, j;
+
+        for (j = 0; j <= b.length; j++) {
+            row[j] = j;
+        }
+
+        for (i = 1; i <= a.length; i++) {
+            var beforePrevious = previousRow;
+            previousRow = row;
+            row = [i];
+            var rowMin = i;
+
+            for (j = 1; j <= b.length; j++) {
+                var cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+                row[j] = Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + cost);
+
+                if (beforePrevious && i > 1 && j > 1 &&
+                    a.charAt(i - 1) === b.charAt(j - 2) && a.charAt(i - 2) === b.charAt(j - 1)) {
+                    row[j] = Math.min(row[j], beforePrevious[j - 2] + 1);
+                }
+
+                rowMin = Math.min(rowMin, row[j]);
+            }
+
+            if (rowMin > maxDistance) {
+                return maxDistance + 1;
+            }
+        }
+
+        return row[b.length];
+    }
+
+    /**
+     * Number of typos tolerated for a term, longer terms allow more
+     * @param {string} term - Query term
+     * @returns {number} Maximum edit distance
+     */
+    function allowedDistance(term) {
+        if (term.length <= 3) return 0;
+        if (term.length <= 6) return 1;
+        return 2;
+    }
+
+    /**
+     * Score how well a document token matches a query term
+     * @param {string} term - Normalized query term
+     * @param {string} token - Normalized document token
+     * @returns {number} Match score, 0 for no match
+     */
+    function matchToken(term, token) {
+        var cacheKey = term + '|' + token;
+        if (matchCache.hasOwnProperty(cacheKey)) {
+            return matchCache[cacheKey];
+        }
+
+        var score = 0;
+        if (token === term) {
+            score = EXACT_SCORE;
+        } else if (token.indexOf(term) === 0) {
+            score = PREFIX_SCORE;
+        } else {
+            var maxDistance = allowedDistance(term);
+            var distance = maxDistance > 0 ? editDistance(term, token, maxDistance) : 1;
+            if (distance <= maxDistance) {
+                score = FUZZY_SCORE / distance;
+            }
+        }
+
+        matchCache[cacheKey] = score;
+        return score;
+    }
+
+    /**
+     * Parse a query string into free terms, field-scoped terms and filters
+     * @param {string} query - Query string (e.g. 'title:foo user:3 bar')
+     * @returns {Object} Parsed query with terms, filters and isEmpty
+     */
+    function parseQuery(query) {
+        var parsed = { terms: [], filters: {}, isEmpty: true };
+
+        String(query || '').trim().split(/\s+/).forEach(function(part) {
+            if (!part) return;
+
+            var separator = part.indexOf(':');
+            var field = separator > 0 ? part.substring(0, separator).toLowerCase() : '';
+            var value = separator > 0 ? part.substring(separator + 1) : part;
+
+            if (FILTER_FIELDS[field]) {
+                if (value !== '') {
+                    parsed.filters[FILTER_FIELDS[field]] = value;
+                    parsed.isEmpty = false;
+                }
+                return;
+            }
+
+            // Unknown prefixes are searched as plain text
+            var scope = self.fields.hasOwnProperty(field) ? field : null;
+            tokenize(scope ? value : part).forEach(function(term) {
+                parsed.terms.push({ term: term, field: scope });
+                parsed.isEmpty = false;
+            });
+        });
+
+        return parsed;
+    }
+
+    /**
+     * Tokenize the searchable fields of a document
+     * @param {Object} doc - Document (post)
+     * @returns {Object} Token arrays keyed by field
+     */
+    function tokenizeDocument(doc) {
+        var tokens = {};
+        Object.keys(self.fields).forEach(function(field) {
+            tokens[field] = tokenize(doc[field]);
+        });
+        return tokens;
+    }
+
+    /**
+     * Score a tokenized document against a parsed query
+     * @param {Object} doc - Document
+     * @param {Object} tokens - Document tokens by field
+     * @param {Object} parsed - Parsed query
+     * @returns {Object|null} Result with score and matched tokens, null if it doesn't match
+     */
+    function scoreTokens(doc, tokens, parsed) {
+        var filterKeys = Object.keys(parsed.filters);
+        for (var f = 0; f < filterKeys.length; f++) {
+            if (String(doc[filterKeys[f]]) !== String(parsed.filters[filterKeys[f]])) {
+                return null;
+            }
+        }
+
+        var result = { id: doc.id, score: 0, matches: {} };
+        Object.keys(self.fields).forEach(function(field) {
+            result.matches[field] = [];
+        });
+
+        for (var t = 0; t < parsed.terms.length; t++) {
+            var term = parsed.terms[t];
+            var fields = term.field ? [term.field] : Object.keys(self.fields);
+            var best = 0;
+
+            fields.forEach(function(field) {
+                var fieldBest = 0;
+                tokens[field].forEach(function(token) {
+                    var score = matchToken(term.term, token);
+                    if (score > 0) {
+                        fieldBest = Math.max(fieldBest, score);
+                        if (result.matches[field].indexOf(token) === -1) {
+                            result.matches[field].push(token);
+                        }
+                    }
+                });
+                best = Math.max(best, fieldBest * self.fields[field]);
+            });
+
+            // Every term has to match somewhere
+            if (best === 0) {
+                return null;
+            }
+            result.score += best;
+        }
+
+        return result;
+    }
+
+    /**
+     * Index documents for searching
+     * @param {Array} docs - Documents with id and the searchable fields
+     * @returns {SearchIndex} The index, for chaining
+     */
+    self.build = function(docs) {
+        entries = (docs || []).map(function(doc) {
+            return { doc: doc, tokens: tokenizeDocument(doc) };
+        });
+        return self;
+    };
+
+    /**
+     * Search indexed documents
+     * @param {string} query - Query string
+     * @returns {Array} Matching results ({ id, score, matches }) ordered by relevance
+     */
+    self.search = function(query) {
+        var parsed = parseQuery(query);
+        if (parsed.isEmpty) {
+            return [];
+        }
+
+        return entries
+            .map(function(entry) {
+                return scoreTokens(entry.doc, entry.tokens, parsed);
+            })
+            .filter(function(result) {
+                return result !== null;
+            })
+            .sort(function(a, b) {
+                return b.score - a.score;
+            });
+    };
+
+    /**
+     * Search indexed documents and key the results by document ID
+     * @param {string} query - Query string
+     * @returns {Object} Matching results ({ id, score, matches }) keyed by ID
+     */
+    self.searchById = function(query) {
+        var results = {};
+        self.search(query).forEach(function(result) {
+            results[result.id] = result;
+        });
+        return results;
+    };
+
+    /**
+     * Score a single document, indexed or not
+     * @param {Object} doc - Document
+     * @param {string} query - Query string
+     * @returns {Object|null} Result ({ id, score, matches }) or null if it doesn't match
+     */
+    self.scoreDocument = function(doc, query) {
+        return scoreTokens(doc, tokenizeDocument(doc), parseQuery(query));
+    };
+
+    /**
+     * Escape text for HTML and wrap matched words in <mark>
+     * @param {string} text - Original text
+     * @param {Array} tokens - Matched normalized tokens
+     * @returns {string} Safe HTML
+     */
+    self.highlight = function(text, tokens) {
+        if (!tokens || tokens.length === 0) {
+            return Helpers.escapeHtml(text);
+        }
+
+        return String(text || '').split(WORD_SPLIT_CAPTURE).map(function(part) {
+            var escaped = Helpers.escapeHtml(part);
+            return tokens.indexOf(normalize(part)) !== -1 ? '<mark>' + escaped + '</mark>' : escaped;
+        }).join('');
+    };
+
+    /**
+     * Cut a fragment of text around the first matched word
+     * @param {string} text - Original text
+     * @param {Array} tokens - Matched normalized tokens
+     * @param {number} length - Fragment length in characters
+     * @returns {string} Fragment with ellipses where text was cut
+     */
+    self.excerpt = function(text, tokens, length) {
+        text = String(text || '');
+        length = length || 100;
+
+        if (text.length <= length) {
+            return text;
+        }
+
+        var start = 0;
+        var position = 0;
+        var parts = text.split(WORD_SPLIT_CAPTURE);
+
+        for (var i = 0; i < parts.length; i++) {
+            if (tokens && tokens.indexOf(normalize(parts[i])) !== -1) {
+                // Leave some context before the match
+                start = Math.max(0, position - Math.floor(length / 4));
+                break;
+            }
+            position += parts[i].length;
+        }
+
+        start = Math.min(start, text.length - length);
+
+        // Don't start in the middle of a word
+        var wordStart = text.lastIndexOf(' ', start);
+        if (start > 0 && wordStart > 0) {
+            start = wordStart + 1;
+        }
+
+        return (start > 0 ? '...' : '') +
+            text.substring(start, start + length) +
+            (start + length < text.length ? '...' : '');
+    };
+}
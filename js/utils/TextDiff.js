@@ -0,0 +1,148 @@
+/**
+ * TextDiff - Word-level diff between two texts
+ * Uses the longest common subsequence of words, whitespace is kept as its own
+ * token so the output reproduces both texts exactly
+ */
+var TextDiff = (function() {
+    'use strict';
+
+    // Above this many token pairs the texts are reported as fully replaced
+    var MAX_CELLS = 1000000;
+
+    /**
+     * Split text into word and whitespace tokens
+     * @param {string} text - Text to split
+     * @returns {Array} Tokens
+     */
+    function tokenize(text) {
+        return String(text || '').split(/(\s+)/).filter(function(token) {
+            return token !== '';
+        });
+    }
+
+    /**
+     * Append a token to the diff, merging it into the previous part of the same type
+     * @param {Array} parts - Diff parts
+     * @param {string} type - 'equal', 'insert' or 'delete'
+     * @param {string} text - Token text
+     */
+    function push(parts, type, text) {
+        var last = parts[parts.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            parts.push({ type: type, text: text });
+        }
+    }
+
+    /**
+     * Diff the differing middle sections of two token lists
+     * @param {Array} a - Old tokens
+     * @param {Array} b - New tokens
+     * @param {Array} parts - Diff parts to append to
+     */
+    function diffTokens(a, b, parts) {
+        var i, j;
+
+        if (a.length * b.length > MAX_CELLS) {
+            a.forEach(function(token) { push(parts, 'delete', token); });
+            b.forEach(function(token) { push(parts, 'insert', token); });
+            return;
+        }
+
+        // lengths[i][j] = LCS length of a[i..] and b[j..]
+        var lengths = [];
+        for (i = a.length; i >= 0; i--) {
+            lengths[i] = [];
+            for (j = b.length; j >= 0; j--) {
+                if (i === a.length || j === b.length) {
+                    lengths[i][j] = 0;
+                } else if (a[i] === b[j]) {
+                    lengths[i][j] = lengths[i + 1][j + 1] + 1;
+                } else {
+                    lengths[i][j] = Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+                }
+            }
+        }
+
+        i = 0;
+        j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                push(parts, 'equal', a[i]);
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                push(parts, 'delete', a[i++]);
+            } else {
+                push(parts, 'insert', b[j++]);
+            }
+        }
+
+        for (; i < a.length; i++) push(parts, 'delete', a[i]);
+        for (; j < b.length; j++) push(parts, 'insert', b[j]);
+    }
+
+    /**
+     * Compare two texts word by word
+     * @param {string} oldText - Previous text
+     * @param {string} newText - New text
+     * @returns {Array} Parts as { type: 'equal'|'insert'|'delete', text }
+     */
+    function diffWords(oldText, newText) {
+        var a = tokenize(oldText);
+        var b = tokenize(newText);
+        var parts = [];
+
+        // Skip the common prefix and suffix before running the LCS
+        var start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) {
+            push(parts, 'equal', a[start]);
+            start++;
+        }
+
+        var endA = a.length;
+        var endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        diffTokens(a.slice(start, endA), b.slice(start, endB), parts);
+        a.slice(endA).forEach(function(token) { push(parts, 'equal', token); });
+
+        return parts;
+    }
+
+    /**
+     * Check whether a diff has any changes
+     * @param {Array} parts - Diff parts
+     * @returns {boolean} True if something was inserted or deleted
+     */
+    function hasChanges(parts) {
+        return parts.some(function(part) {
+            return part.type !== 'equal';
+        });
+    }
+
+    /**
+     * Render diff parts as safe HTML with <ins> and <del>
+     * @param {Array} parts - Diff parts
+     * @returns {string} HTML
+     */
+    function toHtml(parts) {
+        return parts.map(function(part) {
+            var text = Helpers.escapeHtml(part.text);
+            if (part.type === 'insert') return '<ins>' + text + '</ins>';
+            if (part.type === 'delete') return '<del>' + text + '</del>';
+            return text;
+        }).join('');
+    }
+
+    // Public API
+    return {
+        diffWords: diffWords,
+        hasChanges: hasChanges,
+        toHtml: toHtml
+    };
+})();
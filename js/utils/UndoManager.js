@@ -0,0 +1,118 @@
+/**
+ * UndoManager - Undo/redo history of editor states
+ * Keeps snapshots of the edited content; changes to the same field that
+ * follow each other quickly (typing) are merged into a single step
+ */
+function UndoManager(options) {
+    'use strict';
+
+    var self = this;
+
+    options = options || {};
+
+    // Maximum number of undo steps kept
+    self.limit = options.limit || 100;
+
+    // Changes to the same field within this many milliseconds form one step
+    self.coalesceDelay = options.coalesceDelay !== undefined ? options.coalesceDelay : 1000;
+
+    var past = [];
+    var future = [];
+    var present = null;
+    var lastKey = null;
+    var lastTime = 0;
+
+    /**
+     * Compare two snapshots
+     * @param {Object} a - First snapshot
+     * @param {Object} b - Second snapshot
+     * @returns {boolean} True if all fields are equal
+     */
+    function isSameState(a, b) {
+        if (!a || !b) return a === b;
+
+        var keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(function(key) {
+            return a[key] === b[key];
+        });
+    }
+
+    /**
+     * Start a new history from a state, dropping all steps
+     * @param {Object} state - Initial snapshot
+     */
+    self.reset = function(state) {
+        past = [];
+        future = [];
+        present = state;
+        lastKey = null;
+    };
+
+    /**
+     * Record a new state
+     * @param {Object} state - Snapshot after the change
+     * @param {string} key - What changed (e.g. field name), used for coalescing
+     */
+    self.record = function(state, key) {
+        if (isSameState(state, present)) {
+            return;
+        }
+
+        var now = Date.now();
+        var coalesce = key && key === lastKey && now - lastTime < self.coalesceDelay;
+
+        if (!coalesce) {
+            past.push(present);
+            if (past.length > self.limit) {
+                past.shift();
+            }
+        }
+
+        present = state;
+        future = [];
+        lastKey = key || null;
+        lastTime = now;
+    };
+
+    /**
+     * Step back to the previous state
+     * @returns {Object|null} State to apply, null if there is nothing to undo
+     */
+    self.undo = function() {
+        if (past.length === 0) return null;
+
+        future.push(present);
+        present = past.pop();
+        lastKey = null;
+        return present;
+    };
+
+    /**
+     * Step forward to the next undone state
+     * @returns {Object|null} State to apply, null if there is nothing to redo
+     */
+    self.redo = function() {
+        if (future.length === 0) return null;
+
+        past.push(present);
+        present = future.pop();
+        lastKey = null;
+        return present;
+    };
+
+    /**
+     * Check if there is a step to undo
+     * @returns {boolean} True if undo is possible
+     */
+    self.canUndo = function() {
+        return past.length > 0;
+    };
+
+    /**
+     * Check if there is a step to redo
+     * @returns {boolean} True if redo is possible
+     */
+    self.canRedo = function() {
+        return future.length > 0;
+    };
+}
@@ -0,0 +1,213 @@
+/**
+ * AlbumsViewModel - Handles the photo albums of a user
+ * Lists the user's albums and shows the photos of the open album as a
+ * gallery of lazily loaded thumbnails
+ */
+function AlbumsViewModel(params) {
+    'use strict';
+
+    var self = this;
+
+    params = params || {};
+
+    // Observable properties
+    self.userId = ko.observable(parseInt(params.userId) || 1);
+    self.albumId = parseInt(params.albumId) || null;
+    self.users = ko.observableArray([]);
+    self.albums = ko.observableArray([]);
+    self.photos = ko.observableArray([]);
+    self.isLoading = ko.observable(false);
+    self.isLoadingPhotos = ko.observable(false);
+    self.error = ko.observable('');
+
+    // Photo shown full size
+    self.selectedPhoto = ko.observable(null);
+
+    // Cancels in-flight requests when the view model is disposed
+    self.requestController = new AbortController();
+
+    /**
+     * Load the users for the user picker
+     */
+    self.loadUsers = function() {
+        ApiService.fetchUsers({ signal: self.requestController.signal })
+            .then(function(users) {
+                self.users(users);
+            })
+            .catch(function(error) {
+                if (ApiService.isAbortError(error)) return;
+
+                // The albums still load for the user in the URL
+                console.warn('Failed to load users:', error);
+            });
+    };
+
+    /**
+     * Load the albums of the selected user
+     */
+    self.loadAlbums = function() {
+        self.isLoading(true);
+        self.error('');
+
+        ApiService.fetchAlbums(self.userId(), { signal: self.requestController.signal })
+            .then(function(albums) {
+                self.albums(albums);
+            })
+            .catch(function(error) {
+                if (ApiService.isAbortError(error)) return;
+
+                console.error('Failed to load albums:', error);
+                self.error('Failed to load albums: ' + error.message);
+                Helpers.showNotification('Failed to load albums', 'error');
+            })
+            .finally(function() {
+                self.isLoading(false);
+            });
+    };
+
+    /**
+     * Load the photos of the open album
+     */
+    self.loadPhotos = function() {
+        self.isLoadingPhotos(true);
+
+        ApiService.fetchPhotos(self.albumId, { signal: self.requestController.signal })
+            .then(function(photos) {
+                self.photos(photos);
+            })
+            .catch(function(error) {
+                if (ApiService.isAbortError(error)) return;
+
+                console.error('Failed to load photos:', error);
+                self.error('Failed to load photos: ' + error.message);
+                Helpers.showNotification('Failed to load photos', 'error');
+            })
+            .finally(function() {
+                self.isLoadingPhotos(false);
+            });
+    };
+
+    /**
+     * The open album, once albums are loaded
+     */
+    self.album = ko.computed(function() {
+        return self.albums().find(function(album) {
+            return album.id === self.albumId;
+        }) || null;
+    });
+
+    /**
+     * Check if an album is open
+     * @param {Object} album - Album object
+     * @returns {boolean} True if the album's photos are shown
+     */
+    self.isAlbumOpen = function(album) {
+        return album.id === self.albumId;
+    };
+
+    /**
+     * Open an album
+     * @param {Object} album - Album to open
+     */
+    self.openAlbum = function(album) {
+        Router.navigate('albums', { userId: self.userId(), albumId: album.id });
+    };
+
+    /**
+     * Close the open album
+     */
+    self.closeAlbum = function() {
+        Router.navigate('albums', { userId: self.userId() });
+    };
+
+    /**
+     * Show a photo full size
+     * @param {Object} photo - Photo to show
+     */
+    self.showPhoto = function(photo) {
+        self.selectedPhoto(photo);
+    };
+
+    /**
+     * Close the full size photo
+     */
+    self.closePhoto = function() {
+        self.selectedPhoto(null);
+    };
+
+    /**
+     * Step to the previous or next photo of the album
+     * @param {number} step - -1 for previous, 1 for next
+     */
+    self.stepPhoto = function(step) {
+        var photos = self.photos();
+        var index = photos.indexOf(self.selectedPhoto());
+        if (index === -1 || photos.length === 0) return;
+
+        self.selectedPhoto(photos[(index + step + photos.length) % photos.length]);
+    };
+
+    /**
+     * Browse the full size photos with the arrow keys, close with Escape
+     * @param {KeyboardEvent} event - Keydown event
+     */
+    self.handleKeyPress = function(event) {
+        if (!self.selectedPhoto()) return;
+
+        if (event.key === 'Escape') {
+            self.closePhoto();
+        } else if (event.key === 'ArrowLeft') {
+            self.stepPhoto(-1);
+        } else if (event.key === 'ArrowRight') {
+            self.stepPhoto(1);
+        }
+    };
+
+    /**
+     * Open the albums of another user
+     * @param {number} id - User ID
+     */
+    self.selectUser = function(id) {
+        Router.navigate('albums', { userId: id });
+    };
+
+    /**
+     * Initialize the view model
+     */
+    self.init = function() {
+        console.info('AlbumsViewModel initialized for user:', self.userId());
+
+        self.loadUsers();
+        self.loadAlbums();
+
+        if (self.albumId) {
+            self.loadPhotos();
+        }
+
+        // The user picker navigates, so the URL always names the albums' user
+        self.userId.subscribe(self.selectUser);
+
+        document.addEventListener('keydown', self.handleKeyPress);
+    };
+
+    /**
+     * Cleanup when view model is disposed
+     */
+    self.dispose = function() {
+        console.info('AlbumsViewModel disposed');
+
+        // Cancel pending requests
+        self.requestController.abort();
+
+        // Remove event listeners
+        document.removeEventListener('keydown', self.handleKeyPress);
+
+        // Dispose computed observables
+        if (self.album && typeof self.album.dispose === 'function') {
+            self.album.dispose();
+        }
+    };
+
+    // Auto-initialize
+    self.init();
+}
@@ -14,12 +14,21 @@ function AnalyticsViewModel() {
     self.chartInstance = null;
     self.userEmail = ko.observable('');
 
+    // Cancels in-flight requests when the view model is disposed
+    self.requestController = new AbortController();
+
     // Analytics data
     self.totalPosts = ko.observable(0);
     self.totalUsers = ko.observable(0);
     self.editedPosts = ko.observable(0);
     self.averagePostsPerUser = ko.observable(0);
 
+    // Posts per workflow status, as { value, label, css, count }
+    self.statusCounts = ko.observableArray([]);
+
+    // Authors, for the chart labels
+    self.users = ko.observableArray([]);
+
     /**
      * Load user information from storage
      */
@@ -39,12 +48,27 @@ function AnalyticsViewModel() {
         self.isLoading(true);
         self.error('');
 
-        ApiService.fetchPosts()
-            .then(function(posts) {
-                self.processAnalyticsData(posts);
+        var options = { signal: self.requestController.signal };
+
+        // Without users the chart falls back to user IDs
+        var users = ApiService.fetchUsers(options)
+            .catch(function(error) {
+                if (ApiService.isAbortError(error)) throw error;
+
+                console.warn('Failed to load users for analytics:', error);
+                return [];
+            });
+
+        // Local edits carry the workflow status, so they are merged in
+        Promise.all([ApiService.getPostsWithEdits(options), users])
+            .then(function(results) {
+                self.users(results[1]);
+                self.processAnalyticsData(results[0]);
                 self.createChart();
             })
             .catch(function(error) {
+                if (ApiService.isAbortError(error)) return;
+
                 console.error('Failed to load analytics data:', error);
                 self.error('Failed to load analytics data: ' + error.message);
                 Helpers.showNotification('Failed to load analytics data', 'error');
@@ -82,16 +106,19 @@ function AnalyticsViewModel() {
         var editedPostsCount = StorageService.getEditedPostIds().length;
         var averagePosts = totalUsers > 0 ? Math.round((totalPosts / totalUsers) * 100) / 100 : 0;
 
+        var countsByStatus = PostStatus.countByStatus(posts);
+
         // Update observables
+        self.statusCounts(PostStatus.OPTIONS.map(function(option) {
+            return Object.assign({ count: countsByStatus[option.value] }, option);
+        }));
         self.totalPosts(totalPosts);
         self.totalUsers(totalUsers);
         self.editedPosts(editedPostsCount);
         self.averagePostsPerUser(averagePosts);
 
         // Prepare chart data
-        var chartLabels = userIds.map(function(userId) {
-            return 'User ' + userId;
-        });
+        var chartLabels = userIds.map(self.getAuthorName);
 
         var chartValues = userIds.map(function(userId) {
             return userPostCounts[userId];
@@ -101,10 +128,12 @@ function AnalyticsViewModel() {
         var colors = self.generateColors(userIds.length);
 
         self.chartData({
+            userIds: userIds,
             labels: chartLabels,
             values: chartValues,
             colors: colors,
-            userPostCounts: userPostCounts
+            userPostCounts: userPostCounts,
+            statusCounts: countsByStatus
         });
 
         console.info('Analytics data processed:', {
@@ -115,6 +144,23 @@ function AnalyticsViewModel() {
         });
     };
 
+    /**
+     * Get the name of an author
+     * @param {number|string} userId - User ID
+     * @returns {string} Name, or "User N" if users aren't loaded
+     */
+    self.getAuthorName = function(userId) {
+        return Helpers.getUserName(self.users(), userId);
+    };
+
+    /**
+     * Open the profile page of an author
+     * @param {number|string} userId - User ID
+     */
+    self.viewUser = function(userId) {
+        Router.navigate('user', { userId: userId });
+    };
+
     /**
      * Generate colors for chart
      * @param {number} count - Number of colors needed
@@ -183,6 +229,15 @@ function AnalyticsViewModel() {
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
+                // Clicking a user's bar or slice opens their profile
+                onClick: function(event, elements) {
+                    if (elements.length > 0) {
+                        self.viewUser(chartData.userIds[elements[0].index]);
+                    }
+                },
+                onHover: function(event, elements) {
+                    event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+                },
                 plugins: {
                     title: {
                         display: true,
@@ -263,6 +318,7 @@ function AnalyticsViewModel() {
                     averagePostsPerUser: self.averagePostsPerUser()
                 },
                 userPostCounts: chartData.userPostCounts,
+                statusCounts: chartData.statusCounts,
                 exportDate: new Date().toISOString(),
                 exportedBy: self.userEmail()
             };
@@ -371,6 +427,9 @@ function AnalyticsViewModel() {
      */
     self.dispose = function() {
         console.info('AnalyticsViewModel disposed');
+
+        // Cancel pending requests
+        self.requestController.abort();
         
         // Destroy chart instance
         if (self.chartInstance) {
@@ -0,0 +1,100 @@
+/**
+ * ExportDialogViewModel - Export dialog shared by the posts list and post detail pages
+ * Lets the user pick a format and which posts to export, the owning view model
+ * supplies the posts for each scope
+ * @param {Object} options - scopes ({ value, label, count }), getPosts(scope),
+ *                           fileName, title and getAuthorName
+ */
+function ExportDialogViewModel(options) {
+    'use strict';
+
+    var self = this;
+
+    self.formats = [
+        { value: ExportService.FORMATS.CSV, label: 'CSV', description: 'Spreadsheet with local edits merged' },
+        { value: ExportService.FORMATS.MARKDOWN, label: 'Markdown', description: 'ZIP bundle with one .md file per post' },
+        { value: ExportService.FORMATS.PRINT, label: 'Print', description: 'Print-optimised page, save as PDF from the print dialog' },
+        { value: ExportService.FORMATS.JSON, label: 'JSON', description: 'Full dump that can be imported again' }
+    ];
+
+    self.scopes = options.scopes;
+
+    // Observable properties
+    self.isOpen = ko.observable(false);
+    self.format = ko.observable(ExportService.FORMATS.CSV);
+    self.scope = ko.observable(self.scopes[0].value);
+    self.isExporting = ko.observable(false);
+
+    /**
+     * Open the dialog
+     * @param {string} scope - Scope to preselect (optional)
+     */
+    self.open = function(scope) {
+        if (typeof scope === 'string') {
+            self.scope(scope);
+        }
+        self.isOpen(true);
+    };
+
+    /**
+     * Close the dialog
+     */
+    self.close = function() {
+        self.isOpen(false);
+    };
+
+    /**
+     * Label of a scope with the number of posts it covers
+     * @param {Object} scope - Scope option
+     * @returns {string} Label
+     */
+    self.getScopeLabel = function(scope) {
+        var count = scope.count ? scope.count() : null;
+        return count === null ? scope.label : scope.label + ' (' + count + ')';
+    };
+
+    /**
+     * Check if a scope has posts to export
+     * @param {Object} scope - Scope option
+     * @returns {boolean} True if the scope can be exported
+     */
+    self.isScopeAvailable = function(scope) {
+        return !scope.count || scope.count() > 0;
+    };
+
+    /**
+     * Export the posts of the chosen scope in the chosen format
+     */
+    self.exportPosts = function() {
+        var format = self.format();
+
+        self.isExporting(true);
+
+        Promise.resolve(options.getPosts(self.scope()))
+            .then(function(posts) {
+                if (!posts || posts.length === 0) {
+                    Helpers.showNotification('There are no posts to export', 'warning');
+                    return;
+                }
+
+                ExportService.exportPosts(posts, format, {
+                    fileName: options.fileName,
+                    title: options.title,
+                    userEmail: (StorageService.getUser() || {}).email,
+                    getAuthorName: options.getAuthorName
+                });
+
+                self.close();
+                Helpers.showNotification(posts.length + ' post(s) exported', 'success');
+            })
+            .catch(function(error) {
+                if (ApiService.isAbortError(error)) return;
+
+                console.error('Export failed:', error);
+                Helpers.showNotification('Export failed: ' + error.message, 'error');
+            })
+            .finally(function() {
+                self.isExporting(false);
+            });
+    };
+}
@@ -106,6 +106,8 @@ function LoginViewModel() {
                     companyCode: self.companyCode(),
                     region: self.region(),
                     email: self.email(),
+                    // Mock accounts act as the first API user
+                    userId: 1,
                     loginTime: new Date().toISOString(),
                     sessionId: Helpers.generateId(16)
                 };
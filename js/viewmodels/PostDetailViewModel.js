@@ -12,18 +12,92 @@ function PostDetailViewModel(postId) {
         id: null,
         title: ko.observable(''),
         body: ko.observable(''),
-        userId: null
+        userId: ko.observable(null)
     });
     self.isEdited = ko.observable(false);
+    self.isLocalPost = ko.observable(false);
     self.isSaving = ko.observable(false);
     self.isLoading = ko.observable(false);
     self.error = ko.observable('');
     self.originalPost = null;
 
+    // Cancels in-flight requests when the view model is disposed
+    self.requestController = new AbortController();
+
     // Track changes for auto-save
     self.hasUnsavedChanges = ko.observable(false);
     self.lastSaved = ko.observable(null);
 
+    // Offline sync state
+    self.syncStatus = new SyncStatusViewModel();
+
+    // Comments thread
+    self.comments = ko.observableArray([]);
+    self.isLoadingComments = ko.observable(false);
+    self.commentsError = ko.observable('');
+    self.newCommentBody = ko.observable('');
+    self.isPostingComment = ko.observable(false);
+    self.editingCommentId = ko.observable(null);
+    self.editCommentBody = ko.observable('');
+
+    // Authors for the author picker
+    self.users = ko.observableArray([]);
+    self.showAuthorPicker = ko.observable(false);
+    self.authorSearch = ko.observable('');
+
+    // Undo/redo over title, body and author edits
+    self.undoManager = new UndoManager({ limit: 100, coalesceDelay: 1000 });
+    self.canUndo = ko.observable(false);
+    self.canRedo = ko.observable(false);
+
+    // Set while undo/redo writes to the post so the change isn't recorded again
+    var isApplyingHistory = false;
+
+    // Markdown editor layout: 'write', 'preview' or 'split'
+    self.editorMode = ko.observable('write');
+
+    self.markdownFormats = [
+        { format: 'bold', label: 'B', title: 'Bold' },
+        { format: 'italic', label: 'I', title: 'Italic' },
+        { format: 'heading', label: 'H', title: 'Heading' },
+        { format: 'bulletList', label: '• List', title: 'Bulleted list' },
+        { format: 'numberedList', label: '1. List', title: 'Numbered list' },
+        { format: 'link', label: 'Link', title: 'Link' },
+        { format: 'code', label: '</>', title: 'Code' }
+    ];
+
+    // Version history, oldest first, the version on the server comes first as revision 0
+    self.revisions = ko.observableArray([]);
+    self.showHistory = ko.observable(false);
+    self.isLoadingHistory = ko.observable(false);
+    self.compareFromId = ko.observable(null);
+    self.compareToId = ko.observable(null);
+
+    // Fields changed both locally and on the server since the post was edited
+    self.conflict = ko.observable(null);
+    self.isResolvingConflict = ko.observable(false);
+
+    // Notice about a save or delete of this post in another tab, as
+    // { message, needsReload, deleted }
+    self.externalChange = ko.observable(null);
+
+    var CONFLICT_FIELD_LABELS = { title: 'Title', body: 'Content', userId: 'Author' };
+
+    // Workflow status, transitions are listed oldest first
+    self.status = ko.observable(PostStatus.DEFAULT_STATUS);
+    self.statusHistory = ko.observableArray([]);
+    self.isChangingStatus = ko.observable(false);
+
+    // Export dialog for this post, saved version with local edits merged
+    self.exportDialog = new ExportDialogViewModel({
+        scopes: [{ value: 'post', label: 'This post' }],
+        getPosts: function() {
+            return self.originalPost ? [self.originalPost] : [];
+        },
+        fileName: 'post-' + postId,
+        title: 'Post ' + postId
+    });
+
     /**
      * Load post data by ID
      * @param {number} id - Post ID to load
@@ -37,7 +111,7 @@ function PostDetailViewModel(postId) {
         self.isLoading(true);
         self.error('');
 
-        ApiService.getPostWithEdits(parseInt(id))
+        ApiService.getPostWithEdits(parseInt(id), { signal: self.requestController.signal })
             .then(function(postData) {
                 // Store original post for comparison
                 self.originalPost = Helpers.deepClone(postData);
@@ -47,21 +121,38 @@ function PostDetailViewModel(postId) {
                     id: postData.id,
                     title: ko.observable(postData.title || ''),
                     body: ko.observable(postData.body || ''),
-                    userId: postData.userId
+                    userId: ko.observable(postData.userId)
                 };
 
                 self.post(observablePost);
+                self.status(PostStatus.getStatus(postData));
+                self.statusHistory(postData.statusHistory || []);
                 
                 // Check if post has been edited locally
                 self.isEdited(StorageService.isPostEdited(postData.id));
+                self.isLocalPost(StorageService.isPostCreated(postData.id));
+                self.conflict(self.createConflictView(ApiService.getPostConflict(postData.id)));
                 
                 // Set up change tracking
+                self.undoManager.reset(self.getContentSnapshot());
+                self.updateUndoState();
                 self.setupChangeTracking();
+
+                self.loadComments(postData.id);
                 
                 console.info('Loaded post:', postData.id, postData.title);
             })
             .catch(function(error) {
+                if (ApiService.isAbortError(error)) return;
+
                 console.error('Failed to load post:', error);
+
+                if (error.status === 404) {
+                    self.error('Post not found');
+                    Helpers.showNotification('Post not found', 'error');
+                    return;
+                }
+
                 self.error('Failed to load post: ' + error.message);
                 Helpers.showNotification('Failed to load post', 'error');
             })
@@ -80,12 +171,142 @@ function PostDetailViewModel(postId) {
         // Subscribe to title changes
         currentPost.title.subscribe(function() {
             self.checkForChanges();
+            self.recordUndoStep('title');
         });
 
         // Subscribe to body changes
         currentPost.body.subscribe(function() {
             self.checkForChanges();
+            self.recordUndoStep('body');
         });
+
+        // Subscribe to author changes
+        currentPost.userId.subscribe(function() {
+            self.checkForChanges();
+            self.recordUndoStep('userId');
+        });
+    };
+
+    /**
+     * Snapshot of the edited content for the undo history
+     * @returns {Object} Title, body and author
+     */
+    self.getContentSnapshot = function() {
+        var currentPost = self.post();
+        return {
+            title: currentPost.title(),
+            body: currentPost.body(),
+            userId: currentPost.userId()
+        };
+    };
+
+    /**
+     * Record the current content as an undo step
+     * @param {string} field - Changed field, rapid changes to one field are merged
+     */
+    self.recordUndoStep = function(field) {
+        if (isApplyingHistory) return;
+
+        self.undoManager.record(self.getContentSnapshot(), field);
+        self.updateUndoState();
+    };
+
+    /**
+     * Refresh the enabled state of the undo and redo buttons
+     */
+    self.updateUndoState = function() {
+        self.canUndo(self.undoManager.canUndo());
+        self.canRedo(self.undoManager.canRedo());
+    };
+
+    /**
+     * Replace title, body and author, recorded as a single undo step
+     * @param {Object} content - Title and body to apply, and the author if it has one
+     * @param {boolean} fromHistory - True when applying an undo/redo state
+     */
+    self.setContent = function(content, fromHistory) {
+        var currentPost = self.post();
+        if (!currentPost || !content) return;
+
+        isApplyingHistory = true;
+        try {
+            currentPost.title(content.title);
+            currentPost.body(content.body);
+            if (content.userId !== undefined) {
+                currentPost.userId(content.userId);
+            }
+        } finally {
+            isApplyingHistory = false;
+        }
+
+        if (!fromHistory) {
+            self.undoManager.record(self.getContentSnapshot());
+        }
+        self.updateUndoState();
+    };
+
+    /**
+     * Rendered Markdown preview of the body
+     */
+    self.bodyPreviewHtml = ko.computed(function() {
+        var currentPost = self.post();
+        return currentPost ? Markdown.toHtml(currentPost.body()) : '';
+    });
+
+    /**
+     * Restore the editor mode for the logged in user
+     */
+    self.loadEditorMode = function() {
+        var userData = StorageService.getUser();
+        if (!userData) return;
+
+        var preferences = StorageService.getUserPreferences(userData.email).postEditor || {};
+        if (['write', 'preview', 'split'].indexOf(preferences.mode) !== -1) {
+            self.editorMode(preferences.mode);
+        }
+    };
+
+    /**
+     * Switch between writing, preview and side by side, remembered per user
+     * @param {string} mode - 'write', 'preview' or 'split'
+     */
+    self.setEditorMode = function(mode) {
+        self.editorMode(mode);
+
+        var userData = StorageService.getUser();
+        if (userData) {
+            StorageService.saveUserPreferences(userData.email, { postEditor: { mode: mode } });
+        }
+    };
+
+    /**
+     * Apply a toolbar format to the selected body text
+     * @param {Object} item - Entry of markdownFormats
+     */
+    self.formatBody = function(item) {
+        var textarea = document.getElementById('postBody');
+        var currentPost = self.post();
+        if (!textarea || !currentPost) return;
+
+        var result = Markdown.applyFormat(currentPost.body(), textarea.selectionStart, textarea.selectionEnd, item.format);
+        self.setContent({ title: currentPost.title(), body: result.text });
+
+        textarea.focus();
+        textarea.setSelectionRange(result.selectionStart, result.selectionEnd);
+    };
+
+    /**
+     * Undo the last title or body change
+     */
+    self.undo = function() {
+        self.setContent(self.undoManager.undo(), true);
+    };
+
+    /**
+     * Redo the last undone change
+     */
+    self.redo = function() {
+        self.setContent(self.undoManager.redo(), true);
     };
 
     /**
@@ -99,7 +320,8 @@ function PostDetailViewModel(postId) {
         var currentPost = self.post();
         var hasChanges = 
             currentPost.title() !== self.originalPost.title ||
-            currentPost.body() !== self.originalPost.body;
+            currentPost.body() !== self.originalPost.body ||
+            currentPost.userId() !== self.originalPost.userId;
 
         self.hasUnsavedChanges(hasChanges);
     };
@@ -136,18 +358,29 @@ function PostDetailViewModel(postId) {
             id: currentPost.id,
             title: currentPost.title().trim(),
             body: currentPost.body().trim(),
-            userId: currentPost.userId
+            userId: currentPost.userId()
         };
 
+        // updatePost replaces the local record, so carry the workflow status over
+        if (self.originalPost && self.originalPost.status) {
+            postData.status = self.originalPost.status;
+            postData.statusHistory = self.originalPost.statusHistory || [];
+        }
+
         ApiService.updatePost(currentPost.id, postData)
             .then(function(response) {
                 // Update original post reference
                 self.originalPost = Helpers.deepClone(postData);
                 
                 // Mark as edited and reset unsaved changes
-                self.isEdited(true);
+                self.isEdited(!self.isLocalPost());
                 self.hasUnsavedChanges(false);
+                self.externalChange(null);
                 self.lastSaved(new Date());
+
+                if (self.showHistory()) {
+                    self.loadHistory();
+                }
                 
                 Helpers.showNotification('Post saved successfully', 'success');
                 console.info('Post saved:', currentPost.id);
@@ -177,11 +410,8 @@ function PostDetailViewModel(postId) {
             return;
         }
 
-        var currentPost = self.post();
-        if (currentPost) {
-            currentPost.title(self.originalPost.title);
-            currentPost.body(self.originalPost.body);
-        }
+        // Discarding is itself a step, so it can be undone
+        self.setContent(self.originalPost);
 
         self.hasUnsavedChanges(false);
         Helpers.showNotification('Changes discarded', 'info');
@@ -191,12 +421,108 @@ function PostDetailViewModel(postId) {
      * Auto-save functionality
      */
     self.autoSave = Helpers.debounce(function() {
+        // Overwriting changes made in another tab takes an explicit save
+        var externalChange = self.externalChange();
+        if (externalChange && externalChange.needsReload) {
+            return;
+        }
+
         if (self.hasUnsavedChanges() && !self.isSaving()) {
             console.info('Auto-saving post...');
             self.savePost();
         }
     }, 2000); // Auto-save after 2 seconds of inactivity
 
+    /**
+     * Load users for the author picker
+     */
+    self.loadUsers = function() {
+        ApiService.fetchUsers({ signal: self.requestController.signal })
+            .then(function(users) {
+                self.users(users);
+            })
+            .catch(function(error) {
+                if (ApiService.isAbortError(error)) return;
+
+                // The author is shown by ID and can't be changed
+                console.warn('Failed to load users:', error);
+            });
+    };
+
+    /**
+     * Get display name of an author
+     * @param {number} userId - User ID
+     * @returns {string} User name, or "User N" if users aren't loaded
+     */
+    self.getAuthorName = function(userId) {
+        return Helpers.getUserName(self.users(), userId);
+    };
+
+    /**
+     * Get the email and company of an author
+     * @param {number} userId - User ID
+     * @returns {string} Details, empty if users aren't loaded
+     */
+    self.getAuthorDetails = function(userId) {
+        return Helpers.getUserDetails(self.users(), userId);
+    };
+
+    /**
+     * Users matching the author search by name, username, email or company
+     */
+    self.authorMatches = ko.computed(function() {
+        var term = self.authorSearch().trim().toLowerCase();
+
+        return self.users().filter(function(user) {
+            return !term || [user.name, user.username, user.email, user.company && user.company.name]
+                .some(function(value) {
+                    return String(value || '').toLowerCase().indexOf(term) !== -1;
+                });
+        });
+    });
+
+    /**
+     * Open or close the author picker
+     */
+    self.toggleAuthorPicker = function() {
+        self.authorSearch('');
+        self.showAuthorPicker(!self.showAuthorPicker());
+    };
+
+    /**
+     * Make a user the author of the post, saved like any other edit
+     * @param {Object} user - User from authorMatches
+     */
+    self.selectAuthor = function(user) {
+        var currentPost = self.post();
+        if (!currentPost || !user) return;
+
+        currentPost.userId(user.id);
+        self.showAuthorPicker(false);
+        self.authorSearch('');
+    };
+
+    /**
+     * Keys in the author search: Enter picks the first match instead of
+     * submitting the form, Escape closes the picker
+     * @param {Object} data - Binding context data
+     * @param {KeyboardEvent} event - Keydown event
+     * @returns {boolean} True to let other keys through
+     */
+    self.handleAuthorSearchKey = function(data, event) {
+        if (event.key === 'Enter') {
+            self.selectAuthor(self.authorMatches()[0]);
+            return false;
+        }
+
+        if (event.key === 'Escape') {
+            self.showAuthorPicker(false);
+            return false;
+        }
+
+        return true;
+    };
+
     /**
      * Get post word count
      */
@@ -236,23 +562,377 @@ function PostDetailViewModel(postId) {
         });
     });
 
+    /**
+     * Load the version history of the post
+     */
+    self.loadHistory = function() {
+        var currentPost = self.post();
+        if (!currentPost || !currentPost.id) return;
+
+        self.isLoadingHistory(true);
+
+        // Locally created posts have no server version
+        var original = self.isLocalPost() ?
+            Promise.resolve(null) :
+            ApiService.fetchPost(currentPost.id, { signal: self.requestController.signal })
+                .catch(function(error) {
+                    if (ApiService.isAbortError(error)) throw error;
+
+                    console.warn('Failed to load original post for history:', error);
+                    return null;
+                });
+
+        original
+            .then(function(originalPost) {
+                var revisions = StorageService.getRevisions(currentPost.id);
+                if (originalPost) {
+                    revisions.unshift({
+                        id: 0,
+                        title: originalPost.title,
+                        body: originalPost.body,
+                        userId: originalPost.userId,
+                        author: '',
+                        timestamp: null
+                    });
+                }
+
+                self.revisions(revisions);
+
+                // Compare the two latest versions by default
+                var count = revisions.length;
+                self.compareFromId(count > 1 ? revisions[count - 2].id : null);
+                self.compareToId(count > 0 ? revisions[count - 1].id : null);
+            })
+            .catch(function(error) {
+                if (ApiService.isAbortError(error)) return;
+
+                console.error('Failed to load history:', error);
+                Helpers.showNotification('Failed to load history', 'error');
+            })
+            .finally(function() {
+                self.isLoadingHistory(false);
+            });
+    };
+
+    /**
+     * Show or hide the history panel
+     */
+    self.toggleHistory = function() {
+        self.showHistory(!self.showHistory());
+        if (self.showHistory()) {
+            self.loadHistory();
+        }
+    };
+
+    /**
+     * Find a revision by ID
+     * @param {number} revisionId - Revision ID
+     * @returns {Object|null} Revision
+     */
+    self.getRevision = function(revisionId) {
+        return self.revisions().filter(function(revision) {
+            return revision.id === revisionId;
+        })[0] || null;
+    };
+
+    /**
+     * Describe a revision for lists and selects
+     * @param {Object} revision - Revision
+     * @returns {string} Label
+     */
+    self.getRevisionLabel = function(revision) {
+        if (revision.id === 0) {
+            return 'Server version';
+        }
+
+        return '#' + revision.id + ' - ' + Helpers.formatDate(revision.timestamp) +
+            (revision.author ? ' - ' + revision.author : '');
+    };
+
+    /**
+     * Revisions newest first, for the history list
+     */
+    self.revisionsNewestFirst = ko.computed(function() {
+        return self.revisions().slice().reverse();
+    });
+
+    /**
+     * Word-level diff between the two compared revisions
+     */
+    self.revisionDiff = ko.computed(function() {
+        var from = self.getRevision(self.compareFromId());
+        var to = self.getRevision(self.compareToId());
+        if (!from || !to) return null;
+
+        var titleDiff = TextDiff.diffWords(from.title, to.title);
+        var bodyDiff = TextDiff.diffWords(from.body, to.body);
+
+        return {
+            title: TextDiff.toHtml(titleDiff),
+            body: TextDiff.toHtml(bodyDiff),
+            hasChanges: TextDiff.hasChanges(titleDiff) || TextDiff.hasChanges(bodyDiff)
+        };
+    });
+
+    /**
+     * Compare a revision with the one before it
+     * @param {Object} revision - Revision
+     */
+    self.compareWithPrevious = function(revision) {
+        var revisions = self.revisions();
+        var index = revisions.indexOf(revision);
+        if (index < 1) return;
+
+        self.compareFromId(revisions[index - 1].id);
+        self.compareToId(revision.id);
+    };
+
+    /**
+     * Check if a revision has an earlier one to compare with
+     * @param {Object} revision - Revision
+     * @returns {boolean} True if it isn't the first revision
+     */
+    self.hasPreviousRevision = function(revision) {
+        return self.revisions().indexOf(revision) > 0;
+    };
+
+    /**
+     * Restore the title and body of a revision and save them as a new version
+     * @param {Object} revision - Revision to restore
+     */
+    self.restoreRevision = function(revision) {
+        var currentPost = self.post();
+        if (!currentPost || !revision) return;
+
+        if (!confirm('Restore "' + self.getRevisionLabel(revision) + '"? Unsaved changes will be replaced.')) {
+            return;
+        }
+
+        self.setContent(revision);
+        self.savePost();
+    };
+
+    /**
+     * Format a field value for the merge view
+     * @param {string} field - Field name
+     * @param {*} value - Field value
+     * @returns {string} Text
+     */
+    function formatConflictValue(field, value) {
+        if (value === null || value === undefined) return '';
+        return field === 'userId' ? self.getAuthorName(value) : String(value);
+    }
+
+    /**
+     * Build the three-way merge view of a conflict
+     * Each side is shown as a diff against the version both started from
+     * @param {Object|null} conflict - Conflict from ApiService.getPostConflict
+     * @returns {Object|null} Fields with the values of each side and the chosen side
+     */
+    self.createConflictView = function(conflict) {
+        if (!conflict) return null;
+
+        return {
+            fields: conflict.fields.map(function(field) {
+                var baseText = formatConflictValue(field, conflict.base[field]);
+                var localText = formatConflictValue(field, conflict.local[field]);
+                var serverText = formatConflictValue(field, conflict.server[field]);
+
+                return {
+                    key: field,
+                    label: CONFLICT_FIELD_LABELS[field] || field,
+                    baseText: baseText,
+                    localValue: conflict.local[field],
+                    serverValue: conflict.server[field],
+                    localHtml: TextDiff.toHtml(TextDiff.diffWords(baseText, localText)),
+                    serverHtml: TextDiff.toHtml(TextDiff.diffWords(baseText, serverText)),
+                    choice: ko.observable('local')
+                };
+            })
+        };
+    };
+
+    /**
+     * Save the chosen side of each conflicting field and reload the merged post
+     */
+    self.applyMerge = function() {
+        var conflict = self.conflict();
+        var currentPost = self.post();
+        if (!conflict || !currentPost || self.isResolvingConflict()) return;
+
+        if (self.hasUnsavedChanges() &&
+            !confirm('Resolving the conflict discards your unsaved changes. Continue?')) {
+            return;
+        }
+
+        var values = {};
+        conflict.fields.forEach(function(field) {
+            values[field.key] = field.choice() === 'server' ? field.serverValue : field.localValue;
+        });
+
+        self.isResolvingConflict(true);
+
+        ApiService.resolvePostConflict(currentPost.id, values)
+            .then(function() {
+                self.hasUnsavedChanges(false);
+                self.conflict(null);
+                Helpers.showNotification('Conflict resolved', 'success');
+                self.loadPost(currentPost.id);
+            })
+            .catch(function(error) {
+                console.error('Failed to resolve conflict:', error);
+                Helpers.showNotification('Failed to resolve conflict: ' + error.message, 'error');
+            })
+            .finally(function() {
+                self.isResolvingConflict(false);
+            });
+    };
+
+    /**
+     * Choose one side for every conflicting field and save
+     * @param {string} side - 'local' or 'server'
+     */
+    self.resolveAllWith = function(side) {
+        var conflict = self.conflict();
+        if (!conflict) return;
+
+        conflict.fields.forEach(function(field) {
+            field.choice(side);
+        });
+        self.applyMerge();
+    };
+
+    /**
+     * Keep the local edit for all conflicting fields
+     */
+    self.keepLocalVersion = function() {
+        self.resolveAllWith('local');
+    };
+
+    /**
+     * Take the server's values for all conflicting fields
+     */
+    self.takeServerVersion = function() {
+        self.resolveAllWith('server');
+    };
+
+    /**
+     * Display option (label and badge class) of the current status
+     */
+    self.statusOption = ko.computed(function() {
+        return PostStatus.getOption(self.status());
+    });
+
+    /**
+     * Transitions allowed from the current status
+     */
+    self.statusTransitions = ko.computed(function() {
+        return PostStatus.getTransitions(self.status());
+    });
+
+    /**
+     * Status changes newest first, for the status history list
+     */
+    self.statusHistoryNewestFirst = ko.computed(function() {
+        return self.statusHistory().slice().reverse();
+    });
+
+    /**
+     * Get when a status change happened
+     * @param {Object} change - Entry of statusHistory
+     * @returns {string} Formatted date
+     */
+    self.getStatusChangeDate = function(change) {
+        return Helpers.formatDate(change.changedAt);
+    };
+
+    /**
+     * Get the label of a status
+     * @param {string} status - Status value
+     * @returns {string} Label
+     */
+    self.getStatusLabel = function(status) {
+        return PostStatus.getOption(status).label;
+    };
+
+    /**
+     * Move the post to another workflow status
+     * Content changes have to be saved first so the status applies to what was saved
+     * @param {Object} transition - Entry of statusTransitions
+     */
+    self.changeStatus = function(transition) {
+        var currentPost = self.post();
+        if (!currentPost || !currentPost.id || !self.originalPost || self.isChangingStatus()) return;
+
+        if (self.hasUnsavedChanges()) {
+            Helpers.showNotification('Save your changes before changing the status', 'warning');
+            return;
+        }
+
+        var changes;
+        try {
+            changes = PostStatus.transition(self.originalPost, transition.to, self.getCurrentUserEmail());
+        } catch (error) {
+            Helpers.showNotification(error.message, 'error');
+            return;
+        }
+
+        self.isChangingStatus(true);
+
+        ApiService.patchPost(currentPost.id, changes)
+            .then(function() {
+                Object.assign(self.originalPost, changes);
+                self.status(changes.status);
+                self.statusHistory(changes.statusHistory);
+                self.isEdited(!self.isLocalPost());
+
+                Helpers.showNotification('Post moved to ' + self.getStatusLabel(changes.status), 'success');
+            })
+            .catch(function(error) {
+                console.error('Failed to change post status:', error);
+                Helpers.showNotification('Failed to change status', 'error');
+            })
+            .finally(function() {
+                self.isChangingStatus(false);
+            });
+    };
+
     /**
      * Handle keyboard shortcuts
-     * @param {Object} data - Knockout data
-     * @param {Event} event - Keyboard event
+     * Undo and redo only apply while typing in the title or body, other
+     * fields keep the browser's own undo
+     * @param {KeyboardEvent} event - Keydown event from the document listener
      */
-    self.handleKeyPress = function(data, event) {
+    self.handleKeyPress = function(event) {
+        if (!event.ctrlKey && !event.metaKey) {
+            return true;
+        }
+
+        var key = String(event.key).toLowerCase();
+
         // Ctrl/Cmd + S to save
-        if ((event.ctrlKey || event.metaKey) && event.key === 's') {
+        if (key === 's') {
             event.preventDefault();
             self.savePost();
             return false;
         }
+
+        var target = event.target;
+        if (!target || (target.id !== 'postTitle' && target.id !== 'postBody')) {
+            return true;
+        }
         
-        // Ctrl/Cmd + Z to reset (undo)
-        if ((event.ctrlKey || event.metaKey) && event.key === 'z' && !event.shiftKey) {
+        // Ctrl/Cmd + Shift + Z or Ctrl/Cmd + Y to redo
+        if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            self.redo();
+            return false;
+        }
+
+        // Ctrl/Cmd + Z to undo, replaces the browser's per-field undo
+        if (key === 'z') {
             event.preventDefault();
-            self.resetPost();
+            self.undo();
             return false;
         }
         
@@ -287,17 +967,23 @@ function PostDetailViewModel(postId) {
      */
     self.deletePost = function() {
         var currentPost = self.post();
-        if (!currentPost) return;
+        if (!currentPost || !currentPost.id) return;
 
         if (!confirm('Are you sure you want to delete this post? This action cannot be undone.')) {
             return;
         }
 
-        // Remove from local storage
-        StorageService.removeEditedPost(currentPost.id);
-        
-        Helpers.showNotification('Post deleted locally', 'success');
-        Router.navigate('posts');
+        ApiService.deletePost(currentPost.id)
+            .then(function() {
+                // Nothing left to save, skip the unsaved changes prompt
+                self.hasUnsavedChanges(false);
+                Helpers.showNotification('Post deleted', 'success');
+                Router.navigate('posts');
+            })
+            .catch(function(error) {
+                console.error('Failed to delete post:', error);
+                Helpers.showNotification('Failed to delete post', 'error');
+            });
     };
 
     /**
@@ -305,20 +991,232 @@ function PostDetailViewModel(postId) {
      */
     self.duplicatePost = function() {
         var currentPost = self.post();
-        if (!currentPost) return;
+        if (!currentPost || !currentPost.id) return;
 
         var duplicatedData = {
             title: '[Copy] ' + currentPost.title(),
             body: currentPost.body(),
-            userId: currentPost.userId
+            userId: currentPost.userId(),
+            status: PostStatus.STATUSES.DRAFT
         };
 
-        // Save as a new edited post with a temporary ID
-        var tempId = Date.now();
-        StorageService.saveEditedPost(tempId, duplicatedData);
-        
-        Helpers.showNotification('Post duplicated', 'success');
-        Router.navigate('detail', { id: tempId });
+        ApiService.createPost(duplicatedData)
+            .then(function(newPost) {
+                Helpers.showNotification('Post duplicated', 'success');
+                Router.navigate('detail', { id: newPost.id });
+            })
+            .catch(function(error) {
+                console.error('Failed to duplicate post:', error);
+                Helpers.showNotification('Failed to duplicate post', 'error');
+            });
+    };
+
+    /**
+     * Load comments for the post
+     * @param {number} id - Post ID
+     */
+    self.loadComments = function(id) {
+        self.isLoadingComments(true);
+        self.commentsError('');
+
+        ApiService.getCommentsWithEdits(id, { signal: self.requestController.signal })
+            .then(function(comments) {
+                self.comments(comments);
+            })
+            .catch(function(error) {
+                if (ApiService.isAbortError(error)) return;
+
+                console.error('Failed to load comments:', error);
+                self.commentsError('Failed to load comments: ' + error.message);
+            })
+            .finally(function() {
+                self.isLoadingComments(false);
+            });
+    };
+
+    /**
+     * Get the logged in user's email
+     * @returns {string} Email or empty string when logged out
+     */
+    self.getCurrentUserEmail = function() {
+        var userData = StorageService.getUser();
+        return userData && userData.email ? userData.email : '';
+    };
+
+    /**
+     * Check if the logged in user wrote a comment
+     * @param {Object} comment - Comment object
+     * @returns {boolean} True if the comment can be edited and deleted
+     */
+    self.isOwnComment = function(comment) {
+        var email = self.getCurrentUserEmail();
+        return email !== '' && String(comment.email).toLowerCase() === email.toLowerCase();
+    };
+
+    /**
+     * Add a comment as the logged in user
+     */
+    self.addComment = function() {
+        var currentPost = self.post();
+        var body = self.newCommentBody().trim();
+        var email = self.getCurrentUserEmail();
+
+        if (!currentPost || !currentPost.id || self.isPostingComment()) {
+            return false;
+        }
+
+        if (!body) {
+            Helpers.showNotification('Comment cannot be empty', 'error');
+            return false;
+        }
+
+        self.isPostingComment(true);
+
+        ApiService.createComment(currentPost.id, {
+            name: email.split('@')[0],
+            email: email,
+            body: body
+        })
+            .then(function(comment) {
+                self.comments.push(comment);
+                self.newCommentBody('');
+                Helpers.showNotification('Comment added', 'success');
+            })
+            .catch(function(error) {
+                console.error('Failed to add comment:', error);
+                Helpers.showNotification('Failed to add comment', 'error');
+            })
+            .finally(function() {
+                self.isPostingComment(false);
+            });
+
+        return false; // Prevent form submission
+    };
+
+    /**
+     * Start editing a comment
+     * @param {Object} comment - Comment to edit
+     */
+    self.startEditComment = function(comment) {
+        self.editingCommentId(comment.id);
+        self.editCommentBody(comment.body);
+    };
+
+    /**
+     * Cancel the comment being edited
+     */
+    self.cancelEditComment = function() {
+        self.editingCommentId(null);
+        self.editCommentBody('');
+    };
+
+    /**
+     * Check if a comment is being edited
+     * @param {Object} comment - Comment object
+     * @returns {boolean} True if the comment is in edit mode
+     */
+    self.isEditingComment = function(comment) {
+        return self.editingCommentId() === comment.id;
+    };
+
+    /**
+     * Save the comment being edited
+     * @param {Object} comment - Comment to save
+     */
+    self.saveCommentEdit = function(comment) {
+        var body = self.editCommentBody().trim();
+
+        if (!body) {
+            Helpers.showNotification('Comment cannot be empty', 'error');
+            return;
+        }
+
+        ApiService.updateComment(comment.id, { body: body })
+            .then(function() {
+                self.comments.replace(comment, Object.assign({}, comment, { body: body }));
+                self.cancelEditComment();
+                Helpers.showNotification('Comment updated', 'success');
+            })
+            .catch(function(error) {
+                console.error('Failed to update comment:', error);
+                Helpers.showNotification('Failed to update comment', 'error');
+            });
+    };
+
+    /**
+     * Delete a comment
+     * @param {Object} comment - Comment to delete
+     */
+    self.deleteComment = function(comment) {
+        if (!confirm('Are you sure you want to delete this comment?')) {
+            return;
+        }
+
+        ApiService.deleteComment(comment.id)
+            .then(function() {
+                self.comments.remove(comment);
+                Helpers.showNotification('Comment deleted', 'success');
+            })
+            .catch(function(error) {
+                console.error('Failed to delete comment:', error);
+                Helpers.showNotification('Failed to delete comment', 'error');
+            });
+    };
+
+    /**
+     * React to another tab saving or deleting this post
+     * Without local changes the post is reloaded right away, otherwise the
+     * user chooses between reloading and overwriting with their version
+     * @param {Object} change - Change from TabSyncService
+     */
+    self.handleTabChange = function(change) {
+        var currentPost = self.post();
+        if (change.type !== 'post' || !currentPost || change.postId !== currentPost.id) {
+            return;
+        }
+
+        var isDeleted = StorageService.isPostDeleted(change.postId) ||
+            (self.isLocalPost() && !StorageService.isPostCreated(change.postId));
+
+        if (isDeleted) {
+            self.externalChange({ message: 'This post was deleted in another tab.', needsReload: false, deleted: true });
+        } else if (self.hasUnsavedChanges()) {
+            self.externalChange({
+                message: 'This post was changed in another tab. Reload to see the changes, or save to overwrite them.',
+                needsReload: true,
+                deleted: false
+            });
+        } else {
+            self.externalChange({ message: 'This post was updated in another tab.', needsReload: false, deleted: false });
+            self.reloadPost();
+        }
+    };
+
+    /**
+     * Load the post again, dropping unsaved changes
+     */
+    self.reloadPost = function() {
+        var currentPost = self.post();
+        if (!currentPost || !currentPost.id) return;
+
+        var externalChange = self.externalChange();
+        if (externalChange && externalChange.needsReload) {
+            self.externalChange(null);
+        }
+
+        self.hasUnsavedChanges(false);
+        self.loadPost(currentPost.id);
+
+        if (self.showHistory()) {
+            self.loadHistory();
+        }
+    };
+
+    /**
+     * Hide the notice about changes from another tab
+     */
+    self.dismissExternalChange = function() {
+        self.externalChange(null);
     };
 
     // Subscribe to changes for auto-save
@@ -338,6 +1236,12 @@ function PostDetailViewModel(postId) {
         // Set up event listeners
         document.addEventListener('keydown', self.handleKeyPress);
         window.addEventListener('beforeunload', self.handleBeforeUnload);
+
+        self.loadEditorMode();
+        self.loadUsers();
+
+        // Follow saves and deletes of this post in other tabs
+        TabSyncService.onChange(self.handleTabChange);
         
         // Load post if ID provided
         if (id) {
@@ -360,9 +1264,13 @@ function PostDetailViewModel(postId) {
     self.dispose = function() {
         console.info('PostDetailViewModel disposed');
         
+        // Cancel pending requests
+        self.requestController.abort();
+
         // Remove event listeners
         document.removeEventListener('keydown', self.handleKeyPress);
         window.removeEventListener('beforeunload', self.handleBeforeUnload);
+        TabSyncService.removeChangeCallback(self.handleTabChange);
         
         // Dispose computed observables
         if (self.getWordCount && typeof self.getWordCount.dispose === 'function') {
@@ -376,6 +1284,38 @@ function PostDetailViewModel(postId) {
         if (self.getLastSavedText && typeof self.getLastSavedText.dispose === 'function') {
             self.getLastSavedText.dispose();
         }
+
+        if (self.syncStatus && typeof self.syncStatus.dispose === 'function') {
+            self.syncStatus.dispose();
+        }
+
+        if (self.revisionsNewestFirst && typeof self.revisionsNewestFirst.dispose === 'function') {
+            self.revisionsNewestFirst.dispose();
+        }
+
+        if (self.revisionDiff && typeof self.revisionDiff.dispose === 'function') {
+            self.revisionDiff.dispose();
+        }
+
+        if (self.bodyPreviewHtml && typeof self.bodyPreviewHtml.dispose === 'function') {
+            self.bodyPreviewHtml.dispose();
+        }
+
+        if (self.authorMatches && typeof self.authorMatches.dispose === 'function') {
+            self.authorMatches.dispose();
+        }
+
+        if (self.statusOption && typeof self.statusOption.dispose === 'function') {
+            self.statusOption.dispose();
+        }
+
+        if (self.statusTransitions && typeof self.statusTransitions.dispose === 'function') {
+            self.statusTransitions.dispose();
+        }
+
+        if (self.statusHistoryNewestFirst && typeof self.statusHistoryNewestFirst.dispose === 'function') {
+            self.statusHistoryNewestFirst.dispose();
+        }
     };
 
     // Auto-initialize with provided postId
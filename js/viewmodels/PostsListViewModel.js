@@ -1,6 +1,6 @@
 /**
  * PostsListViewModel - Handles posts listing, search, and navigation
- * Fetches posts from API and provides search functionality
+ * Fetches posts from API page by page and provides search functionality
  */
 function PostsListViewModel() {
     'use strict';
@@ -14,66 +14,1378 @@ function PostsListViewModel() {
     self.isLoading = ko.observable(false);
     self.error = ko.observable('');
 
+    // Pagination state, more pages are appended as the user scrolls
+    self.page = ko.observable(0);
+    self.pageSize = AppConfig.get('pageSize');
+    self.totalPosts = ko.observable(0);
+    self.hasMore = ko.observable(false);
+    self.isLoadingMore = ko.observable(false);
+
+    // Bumped on every reload so late pages from an earlier load are dropped
+    var loadGeneration = 0;
+    var isDisposed = false;
+
+    var DEFAULT_SORT_KEY = 'relevance';
+    var DEFAULT_SORT_DIRECTION = 'asc';
+
+    // Sort keys the API can order pages by, the others need every post loaded
+    var SERVER_SORT_KEYS = ['id', 'title', 'userId'];
+
+    // Comment counts keyed by post ID
+    self.commentCounts = ko.observable({});
+
+    // Cancels in-flight requests when the view model is disposed
+    self.requestController = new AbortController();
+
+    // Offline sync state
+    self.syncStatus = new SyncStatusViewModel();
+
+    // Columns available in the table view, title is always shown
+    self.columns = [
+        { key: 'id', label: 'ID' },
+        { key: 'title', label: 'Title', required: true },
+        { key: 'userId', label: 'Author' },
+        { key: 'status', label: 'Status' },
+        { key: 'edited', label: 'Edited' },
+        { key: 'lastModified', label: 'Last Modified' }
+    ];
+
+    // Relevance only ranks posts while searching, otherwise it keeps ID order
+    self.sortOptions = [{ key: 'relevance', label: 'Relevance' }].concat(self.columns);
+
+    // Layout and ordering, saved per user
+    self.viewMode = ko.observable('cards');
+    self.sortKey = ko.observable(DEFAULT_SORT_KEY);
+    self.sortDirection = ko.observable(DEFAULT_SORT_DIRECTION);
+    self.visibleColumns = ko.observableArray(self.columns.map(function(column) {
+        return column.key;
+    }));
+
+    // Facet filters, combined with the search term
+    self.users = ko.observableArray([]);
+    self.authorFilter = ko.observable('');
+    self.statusFilter = ko.observable('');
+    self.stateFilter = ko.observable('');
+    self.lengthFilter = ko.observable('');
+
+    self.statusOptions = PostStatus.OPTIONS;
+
+    self.stateOptions = [
+        { value: 'edited', label: 'Edited' },
+        { value: 'untouched', label: 'Untouched' },
+        { value: 'created', label: 'Created locally' }
+    ];
+
+    // Body length ranges in characters, max is exclusive
+    self.lengthOptions = [
+        { value: 'short', label: 'Short (< 150 chars)', min: 0, max: 150 },
+        { value: 'medium', label: 'Medium (150-250 chars)', min: 150, max: 250 },
+        { value: 'long', label: 'Long (250+ chars)', min: 250, max: Infinity }
+    ];
+
+    // Named queries saved by the user, shown in the sidebar
+    self.savedViews = ko.observableArray([]);
+
+    // Multi-select, IDs of the selected posts
+    self.selectedIds = ko.observableArray([]);
+    self.isBulkRunning = ko.observable(false);
+    self.bulkAuthor = ko.observable('');
+
+    // Last post clicked without shift, start of shift-click ranges
+    var selectionAnchorId = null;
+
+    // Find and replace across the selected posts
+    self.showFindReplace = ko.observable(false);
+    self.findText = ko.observable('');
+    self.replaceText = ko.observable('');
+    self.replaceInTitles = ko.observable(true);
+    self.replaceInBodies = ko.observable(true);
+    self.matchCase = ko.observable(false);
+
+    // Import dry run, records of the chosen file waiting to be applied
+    self.importItems = ko.observableArray([]);
+    self.importFileName = ko.observable('');
+    self.isImporting = ko.observable(false);
+
+    self.importStatuses = [
+        { value: ImportService.STATUS.NEW, label: 'New', css: 'bg-success' },
+        { value: ImportService.STATUS.CHANGED, label: 'Changed', css: 'bg-primary' },
+        { value: ImportService.STATUS.CONFLICT, label: 'Conflicting', css: 'bg-warning text-dark' },
+        { value: ImportService.STATUS.UNCHANGED, label: 'Unchanged', css: 'bg-secondary' },
+        { value: ImportService.STATUS.INVALID, label: 'Invalid', css: 'bg-danger' }
+    ];
+
     // Debounced search function
     var debouncedSearch = Helpers.debounce(function() {
         // Search is handled by computed observable
     }, 300);
 
     /**
-     * Computed observable for filtered posts based on search term
+     * Search index over the loaded posts, all posts are loaded while searching
+     */
+    self.searchIndex = ko.computed(function() {
+        return new SearchIndex({ fields: { title: 3, body: 1 } }).build(self.posts());
+    });
+
+    /**
+     * Current search term and facet filters
+     */
+    self.currentQuery = ko.computed(function() {
+        return {
+            term: self.searchTerm().trim(),
+            userId: self.authorFilter(),
+            status: self.statusFilter(),
+            state: self.stateFilter(),
+            length: self.lengthFilter()
+        };
+    });
+
+    /**
+     * Search results for the current term keyed by post ID
+     */
+    self.searchResults = ko.computed(function() {
+        var term = self.currentQuery().term;
+        return term ? self.searchIndex().searchById(term) : {};
+    });
+
+    /**
+     * Check if a post matches a query
+     * The term is matched fuzzily and supports field syntax like 'title:foo user:3'
+     * @param {Object} post - Post object
+     * @param {Object} query - Query with term, userId, status, state and length (empty values match all)
+     * @param {Object} termResults - Index results for query.term keyed by post ID
+     * @returns {boolean} True if the post matches every part of the query
+     */
+    self.matchesQuery = function(post, query, termResults) {
+        if (query.term && !termResults[post.id]) {
+            return false;
+        }
+
+        if (query.userId && post.userId !== parseInt(query.userId)) {
+            return false;
+        }
+
+        if (query.status && PostStatus.getStatus(post) !== query.status) {
+            return false;
+        }
+
+        if (query.state) {
+            var isCreated = StorageService.isPostCreated(post.id);
+            var isEdited = StorageService.isPostEdited(post.id);
+
+            if (query.state === 'created' && !isCreated) return false;
+            if (query.state === 'edited' && !isEdited) return false;
+            if (query.state === 'untouched' && (isCreated || isEdited)) return false;
+        }
+
+        if (query.length) {
+            var range = self.lengthOptions.find(function(option) {
+                return option.value === query.length;
+            });
+            var bodyLength = (post.body || '').length;
+            if (range && (bodyLength < range.min || bodyLength >= range.max)) return false;
+        }
+
+        return true;
+    };
+
+    /**
+     * Computed observable for posts matching the search term and filters
+     */
+    self.filteredPosts = ko.computed(function() {
+        var query = self.currentQuery();
+        var termResults = self.searchResults();
+
+        return self.posts().filter(function(post) {
+            return self.matchesQuery(post, query, termResults);
+        });
+    });
+
+    /**
+     * Get post title with matched search terms highlighted
+     * @param {Object} post - Post object
+     * @returns {string} Escaped HTML
+     */
+    self.getHighlightedTitle = function(post) {
+        var result = self.searchResults()[post.id];
+        return self.searchIndex().highlight(post.title, result ? result.matches.title : []);
+    };
+
+    /**
+     * Get post summary with inline Markdown rendered, or around the first
+     * search match with matches highlighted
+     * @param {Object} post - Post object
+     * @returns {string} Safe HTML
+     */
+    self.getHighlightedSummary = function(post) {
+        var result = self.searchResults()[post.id];
+        var tokens = result ? result.matches.body : [];
+        var index = self.searchIndex();
+
+        if (tokens.length === 0) {
+            return Markdown.renderInline(Helpers.truncateText(Markdown.stripBlocks(post.body), 100));
+        }
+
+        // Matches are highlighted in plain text, Markdown markup would split them
+        return index.highlight(index.excerpt(Markdown.toPlainText(post.body), tokens, 100), tokens);
+    };
+
+    /**
+     * Authors for the author filter, from the users API or the loaded posts
+     */
+    self.authorOptions = ko.computed(function() {
+        if (self.users().length > 0) {
+            return self.users().map(function(user) {
+                return { value: user.id, label: user.name };
+            });
+        }
+
+        var userIds = [];
+        self.posts().forEach(function(post) {
+            if (userIds.indexOf(post.userId) === -1) {
+                userIds.push(post.userId);
+            }
+        });
+
+        return userIds.sort(function(a, b) { return a - b; }).map(function(userId) {
+            return { value: userId, label: 'User ' + userId };
+        });
+    });
+
+    /**
+     * Get display name of an author
+     * @param {number} userId - User ID
+     * @returns {string} User name, or "User N" if users aren't loaded
+     */
+    self.getAuthorName = function(userId) {
+        return Helpers.getUserName(self.users(), userId);
+    };
+
+    /**
+     * Get the email and company of an author
+     * @param {number} userId - User ID
+     * @returns {string} Details, empty if users aren't loaded
+     */
+    self.getAuthorDetails = function(userId) {
+        return Helpers.getUserDetails(self.users(), userId);
+    };
+
+    /**
+     * Get the profile page link of an author
+     * @param {number} userId - User ID
+     * @returns {string} URL
+     */
+    self.getAuthorUrl = function(userId) {
+        return Router.generateUrl('user', { userId: userId });
+    };
+
+    /**
+     * Open the profile page of a post's author
+     * @param {Object} post - Post object
+     */
+    self.viewAuthor = function(post) {
+        Router.navigate('user', { userId: post.userId });
+    };
+
+    /**
+     * Chips describing the active search term and filters
+     */
+    self.activeFilters = ko.computed(function() {
+        var query = self.currentQuery();
+        var chips = [];
+
+        /**
+         * Find an option label by value
+         */
+        function optionLabel(options, value) {
+            var option = options.find(function(o) { return String(o.value) === String(value); });
+            return option ? option.label : value;
+        }
+
+        if (query.term) {
+            chips.push({ key: 'term', label: 'Search: "' + query.term + '"' });
+        }
+        if (query.userId) {
+            chips.push({ key: 'userId', label: 'Author: ' + self.getAuthorName(query.userId) });
+        }
+        if (query.status) {
+            chips.push({ key: 'status', label: 'Status: ' + optionLabel(self.statusOptions, query.status) });
+        }
+        if (query.state) {
+            chips.push({ key: 'state', label: 'State: ' + optionLabel(self.stateOptions, query.state) });
+        }
+        if (query.length) {
+            chips.push({ key: 'length', label: 'Length: ' + optionLabel(self.lengthOptions, query.length) });
+        }
+
+        return chips;
+    });
+
+    /**
+     * Remove a single filter chip
+     * @param {Object} chip - Chip from activeFilters
+     */
+    self.removeFilter = function(chip) {
+        var observables = {
+            term: self.searchTerm,
+            userId: self.authorFilter,
+            status: self.statusFilter,
+            state: self.stateFilter,
+            length: self.lengthFilter
+        };
+
+        if (observables[chip.key]) {
+            observables[chip.key]('');
+        }
+    };
+
+    /**
+     * Clear the search term and all filters
+     */
+    self.clearFilters = function() {
+        self.searchTerm('');
+        self.authorFilter('');
+        self.statusFilter('');
+        self.stateFilter('');
+        self.lengthFilter('');
+    };
+
+    /**
+     * Saved views with the number of loaded posts each one matches
+     * While more pages are left the counts are lower bounds, see savedViewCountText
+     */
+    self.savedViewItems = ko.computed(function() {
+        var posts = self.posts();
+        var index = self.searchIndex();
+
+        return self.savedViews().map(function(view) {
+            var termResults = view.query.term ? index.searchById(view.query.term) : {};
+
+            return {
+                view: view,
+                count: posts.filter(function(post) {
+                    return self.matchesQuery(post, view.query, termResults);
+                }).length
+            };
+        });
+    });
+
+    /**
+     * Get the count badge text of a saved view
+     * @param {Object} item - Saved view item from savedViewItems
+     * @returns {string} Count, with '+' while not all posts are loaded
+     */
+    self.savedViewCountText = function(item) {
+        return item.count + (self.hasMore() ? '+' : '');
+    };
+
+    /**
+     * Get the tooltip of the saved view count badges
+     * @returns {string} What the counts cover
+     */
+    self.savedViewCountTitle = function() {
+        return self.hasMore() ? 'Matching loaded posts, later pages are not loaded yet' : 'Matching posts';
+    };
+
+    /**
+     * Saved view matching the current query and sort, if any
+     */
+    self.activeViewId = ko.computed(function() {
+        var query = self.currentQuery();
+        var sortKey = self.sortKey();
+        var sortDirection = self.sortDirection();
+
+        var active = self.savedViews().find(function(view) {
+            return view.sortKey === sortKey &&
+                view.sortDirection === sortDirection &&
+                ['term', 'userId', 'status', 'state', 'length'].every(function(key) {
+                    return String(view.query[key] || '') === String(query[key] || '');
+                });
+        });
+
+        return active ? active.id : null;
+    });
+
+    /**
+     * Save the current query and sort as a named view
+     */
+    self.saveCurrentView = function() {
+        var name = prompt('Name for this view:');
+        if (name === null) return;
+
+        name = name.trim();
+        if (!name) {
+            Helpers.showNotification('View name is required', 'error');
+            return;
+        }
+
+        var query = self.currentQuery();
+        self.savedViews.push({
+            id: Helpers.generateId(),
+            name: name,
+            query: {
+                term: query.term,
+                userId: query.userId || '',
+                status: query.status || '',
+                state: query.state || '',
+                length: query.length || ''
+            },
+            sortKey: self.sortKey(),
+            sortDirection: self.sortDirection(),
+            createdAt: Date.now()
+        });
+
+        Helpers.showNotification('View "' + name + '" saved', 'success');
+    };
+
+    /**
+     * Apply a saved view's query and sort
+     * @param {Object} item - Saved view item from savedViewItems
+     */
+    self.applySavedView = function(item) {
+        var view = item.view;
+
+        self.searchTerm(view.query.term || '');
+        self.authorFilter(view.query.userId || '');
+        self.statusFilter(view.query.status || '');
+        self.stateFilter(view.query.state || '');
+        self.lengthFilter(view.query.length || '');
+        self.sortKey(view.sortKey || DEFAULT_SORT_KEY);
+        self.sortDirection(view.sortDirection || DEFAULT_SORT_DIRECTION);
+    };
+
+    /**
+     * Rename a saved view
+     * @param {Object} item - Saved view item from savedViewItems
+     */
+    self.renameSavedView = function(item) {
+        var name = prompt('Rename view:', item.view.name);
+        if (name === null || !name.trim()) return;
+
+        self.savedViews.replace(item.view, Object.assign({}, item.view, { name: name.trim() }));
+    };
+
+    /**
+     * Delete a saved view
+     * @param {Object} item - Saved view item from savedViewItems
+     */
+    self.deleteSavedView = function(item) {
+        if (!confirm('Delete the view "' + item.view.name + '"?')) {
+            return;
+        }
+
+        self.savedViews.remove(item.view);
+        Helpers.showNotification('View deleted', 'info');
+    };
+
+    /**
+     * Move a saved view up or down in the sidebar
+     * @param {Object} item - Saved view item from savedViewItems
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    self.moveSavedView = function(item, offset) {
+        var views = self.savedViews().slice();
+        var index = views.indexOf(item.view);
+        var target = index + offset;
+
+        if (index === -1 || target < 0 || target >= views.length) return;
+
+        views.splice(index, 1);
+        views.splice(target, 0, item.view);
+        self.savedViews(views);
+    };
+
+    /**
+     * Move a saved view one place up
+     * @param {Object} item - Saved view item from savedViewItems
+     */
+    self.moveSavedViewUp = function(item) {
+        self.moveSavedView(item, -1);
+    };
+
+    /**
+     * Move a saved view one place down
+     * @param {Object} item - Saved view item from savedViewItems
+     */
+    self.moveSavedViewDown = function(item) {
+        self.moveSavedView(item, 1);
+    };
+
+    /**
+     * Load saved views for the logged in user
+     */
+    self.loadSavedViews = function() {
+        var userData = StorageService.getUser();
+        if (!userData) return;
+
+        self.savedViews(StorageService.getSavedViews(userData.email));
+    };
+
+    /**
+     * Persist saved views for the logged in user
+     */
+    self.persistSavedViews = function() {
+        var userData = StorageService.getUser();
+        if (!userData) return;
+
+        StorageService.saveSavedViews(userData.email, self.savedViews());
+    };
+
+    /**
+     * Load users for the author filter
+     */
+    self.loadUsers = function() {
+        ApiService.fetchUsers({ signal: self.requestController.signal })
+            .then(function(users) {
+                self.users(users);
+            })
+            .catch(function(error) {
+                if (ApiService.isAbortError(error)) return;
+
+                // Authors fall back to user IDs from the loaded posts
+                console.warn('Failed to load users:', error);
+            });
+    };
+
+    /**
+     * Get the value a post is sorted by for a column
+     * @param {Object} post - Post object
+     * @param {string} key - Column key
+     * @returns {number|string} Sort value
+     */
+    self.getSortValue = function(post, key) {
+        switch (key) {
+            case 'relevance':
+                // Negated so the best match comes first in ascending order
+                var result = self.searchResults()[post.id];
+                return result ? -result.score : 0;
+            case 'title':
+                return (post.title || '').toLowerCase();
+            case 'status':
+                // Workflow order, drafts first when ascending
+                return self.statusOptions.indexOf(self.getStatusOption(post));
+            case 'edited':
+                // Created posts first when descending, then edited ones, then untouched
+                return self.isPostCreated(post) ? 2 : (self.isPostEdited(post) ? 1 : 0);
+            case 'lastModified':
+                return StorageService.getPostLastModified(post.id) || 0;
+            default:
+                return post[key] || 0;
+        }
+    };
+
+    /**
+     * Filtered posts in the selected order
+     */
+    self.sortedPosts = ko.computed(function() {
+        var key = self.sortKey();
+        var direction = self.sortDirection() === 'desc' ? -1 : 1;
+
+        return self.filteredPosts().slice().sort(function(a, b) {
+            var valueA = self.getSortValue(a, key);
+            var valueB = self.getSortValue(b, key);
+
+            if (valueA < valueB) return -direction;
+            if (valueA > valueB) return direction;
+            // Keep a stable order for equal values
+            return a.id - b.id;
+        });
+    });
+
+    /**
+     * Sort by a column, toggling the direction when it is already active
+     * @param {string} key - Column key
+     */
+    self.sortBy = function(key) {
+        if (self.sortKey() === key) {
+            self.toggleSortDirection();
+        } else {
+            self.sortKey(key);
+            self.sortDirection('asc');
+        }
+    };
+
+    /**
+     * Flip the sort direction
+     */
+    self.toggleSortDirection = function() {
+        self.sortDirection(self.sortDirection() === 'asc' ? 'desc' : 'asc');
+    };
+
+    /**
+     * Get sort arrow for a column header
+     * @param {string} key - Column key
+     * @returns {string} Arrow for the active sort column, empty otherwise
+     */
+    self.getSortIndicator = function(key) {
+        if (self.sortKey() !== key) return '';
+        return self.sortDirection() === 'asc' ? '▲' : '▼';
+    };
+
+    /**
+     * Switch between card and table layout
+     * @param {string} mode - 'cards' or 'table'
+     */
+    self.setViewMode = function(mode) {
+        self.viewMode(mode);
+    };
+
+    /**
+     * Check if a column is shown in the table view
+     * @param {string} key - Column key
+     * @returns {boolean} True if visible
+     */
+    self.isColumnVisible = function(key) {
+        return self.visibleColumns.indexOf(key) !== -1;
+    };
+
+    /**
+     * Show or hide a table column
+     * @param {Object} column - Column definition
+     * @returns {boolean} True so the checkbox click isn't cancelled
+     */
+    self.toggleColumn = function(column) {
+        if (column.required) return true;
+
+        if (self.isColumnVisible(column.key)) {
+            self.visibleColumns.remove(column.key);
+        } else {
+            self.visibleColumns.push(column.key);
+        }
+
+        // Let the checkbox keep its default toggle behaviour
+        return true;
+    };
+
+    /**
+     * Get last modified text for the table view
+     * @param {Object} post - Post object
+     * @returns {string} Formatted date or dash for unchanged posts
+     */
+    self.getLastModifiedText = function(post) {
+        var timestamp = StorageService.getPostLastModified(post.id);
+        return timestamp ? Helpers.formatDate(timestamp, {
+            hour: '2-digit',
+            minute: '2-digit'
+        }) : '—';
+    };
+
+    /**
+     * Restore view and sort preferences for the logged in user
+     */
+    self.loadPreferences = function() {
+        var userData = StorageService.getUser();
+        if (!userData) return;
+
+        var preferences = StorageService.getUserPreferences(userData.email).postsList || {};
+        var sortKeys = self.sortOptions.map(function(option) { return option.key; });
+
+        if (preferences.viewMode === 'cards' || preferences.viewMode === 'table') {
+            self.viewMode(preferences.viewMode);
+        }
+        if (sortKeys.indexOf(preferences.sortKey) !== -1) {
+            self.sortKey(preferences.sortKey);
+        }
+        if (preferences.sortDirection === 'asc' || preferences.sortDirection === 'desc') {
+            self.sortDirection(preferences.sortDirection);
+        }
+        if (Array.isArray(preferences.visibleColumns)) {
+            self.visibleColumns(self.columns.filter(function(column) {
+                return column.required || preferences.visibleColumns.indexOf(column.key) !== -1;
+            }).map(function(column) {
+                return column.key;
+            }));
+        }
+    };
+
+    /**
+     * Save view and sort preferences for the logged in user
+     */
+    self.savePreferences = function() {
+        var userData = StorageService.getUser();
+        if (!userData) return;
+
+        StorageService.saveUserPreferences(userData.email, {
+            postsList: {
+                viewMode: self.viewMode(),
+                sortKey: self.sortKey(),
+                sortDirection: self.sortDirection(),
+                visibleColumns: self.visibleColumns()
+            }
+        });
+    };
+
+    /**
+     * Get request options for loading pages in the selected order
+     * @returns {Object} Options with the abort signal, and the sort if the API can apply it
+     */
+    self.getPageOptions = function() {
+        var options = { signal: self.requestController.signal };
+
+        if (SERVER_SORT_KEYS.indexOf(self.sortKey()) !== -1) {
+            options.sort = { key: self.sortKey(), order: self.sortDirection() };
+        }
+
+        return options;
+    };
+
+    /**
+     * Apply a loaded page to the pagination state
+     * @param {Object} result - Page result from ApiService
+     */
+    self.applyPage = function(result) {
+        self.page(result.page);
+        self.totalPosts(result.total);
+        self.hasMore(result.hasMore);
+    };
+
+    /**
+     * Load posts from API, starting over at the first page
+     * @param {number} pageCount - Number of pages to load at once (default 1)
+     */
+    self.loadPosts = function(pageCount) {
+        var generation = ++loadGeneration;
+        pageCount = Math.max(1, parseInt(pageCount, 10) || 1);
+
+        self.isLoading(true);
+        self.isLoadingMore(false);
+        self.error('');
+
+        // Restoring a deeper page fetches all pages up to it in one request
+        ApiService.getPostsPageWithEdits(1, self.pageSize * pageCount, self.getPageOptions())
+            .then(function(result) {
+                if (generation !== loadGeneration) return;
+
+                self.posts(result.posts);
+                self.applyPage(result);
+                self.page(pageCount);
+                console.info('Loaded', result.posts.length, 'of', result.total, 'posts');
+                
+                // Show notification for edited posts
+                var editedCount = StorageService.getEditedPostIds().length;
+                if (editedCount > 0) {
+                    Helpers.showNotification(
+                        editedCount + ' post(s) have local edits', 
+                        'info', 
+                        3000
+                    );
+                }
+            })
+            .catch(function(error) {
+                if (ApiService.isAbortError(error)) return;
+
+                console.error('Failed to load posts:', error);
+                self.error('Failed to load posts: ' + error.message);
+                Helpers.showNotification('Failed to load posts', 'error');
+            })
+            .finally(function() {
+                if (generation === loadGeneration) {
+                    self.isLoading(false);
+
+                    if (self.needsAllPosts()) {
+                        self.loadAllPosts();
+                    }
+                }
+            });
+    };
+
+    /**
+     * Load the next page of posts and append it to the list
+     * @returns {Promise} Promise that resolves once the page is loaded
+     */
+    self.loadMorePosts = function() {
+        if (!self.hasMore() || self.isLoading() || self.isLoadingMore()) {
+            return Promise.resolve();
+        }
+
+        var generation = loadGeneration;
+        self.isLoadingMore(true);
+
+        return ApiService.getPostsPageWithEdits(self.page() + 1, self.pageSize, self.getPageOptions())
+            .then(function(result) {
+                if (generation !== loadGeneration) return;
+
+                ko.utils.arrayPushAll(self.posts, result.posts);
+                self.applyPage(result);
+                console.info('Loaded page', result.page, '-', self.posts().length, 'of', result.total, 'posts');
+            })
+            .catch(function(error) {
+                if (ApiService.isAbortError(error)) return;
+
+                console.error('Failed to load more posts:', error);
+                Helpers.showNotification('Failed to load more posts', 'error');
+            })
+            .finally(function() {
+                if (generation === loadGeneration) {
+                    self.isLoadingMore(false);
+                }
+            });
+    };
+
+    /**
+     * Keep loading pages until the given page is loaded or no pages are left
+     * @param {number} pageNumber - Page to load up to
+     * @returns {Promise} Promise that resolves once loading stops
+     */
+    self.loadPagesUntil = function(pageNumber) {
+        var loadedPage = self.page();
+        if (loadedPage >= pageNumber || !self.hasMore()) {
+            return Promise.resolve();
+        }
+
+        return self.loadMorePosts().then(function() {
+            // Stop if the page failed to load
+            if (self.page() > loadedPage) {
+                return self.loadPagesUntil(pageNumber);
+            }
+        });
+    };
+
+    /**
+     * Whether the list needs every post rather than the loaded pages, so that
+     * filter results, counts, selection and exports cover the whole set
+     * Relevance keeps ID order without a search term, the API's default order
+     */
+    self.needsAllPosts = ko.computed(function() {
+        var query = self.currentQuery();
+        var sortKey = self.sortKey();
+        var isClientSort = sortKey !== DEFAULT_SORT_KEY && SERVER_SORT_KEYS.indexOf(sortKey) === -1;
+        var isFiltered = ['term', 'userId', 'status', 'state', 'length'].some(function(key) {
+            return !!query[key];
+        });
+
+        return isFiltered || isClientSort;
+    });
+
+    /**
+     * Load all remaining posts at once, replacing the loaded pages
+     * @returns {Promise} Promise that resolves once the posts are loaded
+     */
+    self.loadAllPosts = function() {
+        if (!self.hasMore() || self.isLoading()) {
+            return Promise.resolve();
+        }
+
+        // Pages still loading would only duplicate posts
+        var generation = ++loadGeneration;
+        self.isLoadingMore(true);
+
+        return ApiService.getPostsWithEdits({ signal: self.requestController.signal })
+            .then(function(posts) {
+                if (generation !== loadGeneration) return;
+
+                self.posts(posts);
+                self.totalPosts(posts.length);
+                self.page(Math.max(1, Math.ceil(posts.length / self.pageSize)));
+                self.hasMore(false);
+                console.info('Loaded all', posts.length, 'posts');
+            })
+            .catch(function(error) {
+                if (ApiService.isAbortError(error)) return;
+
+                console.error('Failed to load all posts:', error);
+                Helpers.showNotification('Failed to load all posts, results only cover the loaded ones', 'error');
+            })
+            .finally(function() {
+                if (generation === loadGeneration) {
+                    self.isLoadingMore(false);
+                }
+            });
+    };
+
+    // Load the rest of the posts once they are needed, the initial load checks itself
+    self.needsAllPosts.subscribe(function(needsAll) {
+        if (needsAll && self.page() > 0) {
+            self.loadAllPosts();
+        }
+    });
+
+    /**
+     * Order the API sorts pages by, null for client-side sorting
+     */
+    self.serverSort = ko.computed(function() {
+        return self.getPageOptions().sort || null;
+    });
+
+    // Later pages must continue the new order, so paging starts over
+    self.serverSort.subscribe(function() {
+        if (self.page() > 0 && self.hasMore() && !self.needsAllPosts()) {
+            self.loadPosts();
+        }
+    });
+
+    /**
+     * Load the next page when the user scrolls near the bottom of the list
+     */
+    self.handleScroll = Helpers.throttle(function() {
+        var scrolled = window.innerHeight + window.pageYOffset;
+        if (scrolled >= document.documentElement.scrollHeight - 300) {
+            self.loadMorePosts();
+        }
+    }, 200);
+
+    /**
+     * Load comment counts for the posts list
+     */
+    self.loadCommentCounts = function() {
+        ApiService.getCommentCounts({ signal: self.requestController.signal })
+            .then(function(counts) {
+                self.commentCounts(counts);
+            })
+            .catch(function(error) {
+                if (ApiService.isAbortError(error)) return;
+
+                // Counts are secondary, the list stays usable without them
+                console.warn('Failed to load comment counts:', error);
+            });
+    };
+
+    /**
+     * Get number of comments on a post
+     * @param {Object} post - Post object
+     * @returns {number} Comment count
+     */
+    self.getCommentCount = function(post) {
+        if (!post || !post.id) return 0;
+        return self.commentCounts()[post.id] || 0;
+    };
+
+    /**
+     * Loaded posts that are selected
+     */
+    self.selectedPosts = ko.computed(function() {
+        var ids = self.selectedIds();
+        return self.posts().filter(function(post) {
+            return ids.indexOf(post.id) !== -1;
+        });
+    });
+
+    /**
+     * Whether every post matching the current filters is selected
+     */
+    self.allFilteredSelected = ko.computed(function() {
+        var ids = self.selectedIds();
+        var posts = self.filteredPosts();
+        return posts.length > 0 && posts.every(function(post) {
+            return ids.indexOf(post.id) !== -1;
+        });
+    });
+
+    /**
+     * Check if a post is selected
+     * @param {Object} post - Post object
+     * @returns {boolean} True if selected
+     */
+    self.isSelected = function(post) {
+        return !!post && self.selectedIds.indexOf(post.id) !== -1;
+    };
+
+    /**
+     * Select or deselect posts by ID
+     * @param {Array} ids - Post IDs
+     * @param {boolean} selected - Whether to select them
+     */
+    self.setSelected = function(ids, selected) {
+        var current = self.selectedIds().filter(function(id) {
+            return ids.indexOf(id) === -1;
+        });
+        self.selectedIds(selected ? current.concat(ids) : current);
+    };
+
+    /**
+     * Toggle a post's checkbox, shift-click selects the range from the last clicked post
+     * @param {Object} post - Post object
+     * @param {Event} event - Click event
+     * @returns {boolean} True to keep the checkbox default behaviour
+     */
+    self.toggleSelection = function(post, event) {
+        var selected = !self.isSelected(post);
+        var ids = [post.id];
+
+        if (event && event.shiftKey && selectionAnchorId !== null) {
+            var visible = self.sortedPosts().map(function(p) { return p.id; });
+            var from = visible.indexOf(selectionAnchorId);
+            var to = visible.indexOf(post.id);
+
+            if (from !== -1 && to !== -1) {
+                ids = visible.slice(Math.min(from, to), Math.max(from, to) + 1);
+            }
+        }
+
+        self.setSelected(ids, selected);
+        selectionAnchorId = post.id;
+        return true;
+    };
+
+    /**
+     * Select every post matching the current search and filters
+     */
+    self.selectAllFiltered = function() {
+        self.setSelected(self.filteredPosts().map(function(post) { return post.id; }), true);
+    };
+
+    /**
+     * Header checkbox, selects all filtered posts or deselects them when all are selected
+     * @returns {boolean} True to keep the checkbox default behaviour
+     */
+    self.toggleSelectAllFiltered = function() {
+        var ids = self.filteredPosts().map(function(post) { return post.id; });
+        self.setSelected(ids, !self.allFilteredSelected());
+        return true;
+    };
+
+    /**
+     * Clear the selection
+     */
+    self.clearSelection = function() {
+        self.selectedIds([]);
+        selectionAnchorId = null;
+    };
+
+    /**
+     * Merge changes into the listed posts in one update
+     * @param {Object} changesById - Changed fields keyed by post ID
      */
-    self.filteredPosts = ko.computed(function() {
-        var searchTerm = self.searchTerm().toLowerCase().trim();
-        
-        if (!searchTerm) {
-            return self.posts();
+    function updateListedPosts(changesById) {
+        self.posts(self.posts().map(function(post) {
+            return changesById[post.id] ? Object.assign({}, post, changesById[post.id]) : post;
+        }));
+    }
+
+    /**
+     * Run a bulk action one post at a time, a failed post doesn't stop the rest
+     * @param {Array} posts - Posts to process
+     * @param {Function} action - Called with each post, returns a promise
+     * @returns {Promise<Object>} Promise that resolves to { results, failed }, results keyed by post ID
+     */
+    function runBulkAction(posts, action) {
+        var outcome = { results: {}, succeeded: 0, failed: 0 };
+        self.isBulkRunning(true);
+
+        return posts.reduce(function(chain, post) {
+            return chain.then(function() {
+                return Promise.resolve()
+                    .then(function() {
+                        return action(post);
+                    })
+                    .then(function(result) {
+                        outcome.results[post.id] = result;
+                        outcome.succeeded++;
+                    })
+                    .catch(function(error) {
+                        outcome.failed++;
+                        console.error('Bulk action failed for post ' + post.id + ':', error);
+                    });
+            });
+        }, Promise.resolve()).then(function() {
+            self.isBulkRunning(false);
+            return outcome;
+        });
+    }
+
+    /**
+     * Notify the outcome of a bulk action
+     * @param {Object} outcome - Outcome from runBulkAction
+     * @param {string} verb - Past tense of the action (e.g. 'deleted')
+     */
+    function notifyBulkResult(outcome, verb) {
+        if (outcome.failed > 0) {
+            Helpers.showNotification(outcome.succeeded + ' post(s) ' + verb + ', ' + outcome.failed + ' failed', 'warning');
+        } else {
+            Helpers.showNotification(outcome.succeeded + ' post(s) ' + verb, 'success');
         }
+    }
 
-        return self.posts().filter(function(post) {
-            var titleMatch = post.title.toLowerCase().indexOf(searchTerm) !== -1;
-            var bodyMatch = post.body.toLowerCase().indexOf(searchTerm) !== -1;
-            return titleMatch || bodyMatch;
+    /**
+     * Revert local edits of the selected posts
+     */
+    self.revertSelected = function() {
+        var posts = self.selectedPosts().filter(self.isPostEdited);
+        if (posts.length === 0) {
+            Helpers.showNotification('None of the selected posts have local edits', 'info');
+            return;
+        }
+
+        if (!confirm('Revert local edits of ' + posts.length + ' post(s)? This cannot be undone.')) {
+            return;
+        }
+
+        runBulkAction(posts, function(post) {
+            return ApiService.revertPost(post.id);
+        }).then(function(outcome) {
+            updateListedPosts(outcome.results);
+            notifyBulkResult(outcome, 'reverted');
+        });
+    };
+
+    /**
+     * Delete the selected posts
+     */
+    self.deleteSelected = function() {
+        var posts = self.selectedPosts();
+        if (posts.length === 0 || !confirm('Delete ' + posts.length + ' selected post(s)? This cannot be undone.')) {
+            return;
+        }
+
+        runBulkAction(posts, function(post) {
+            return ApiService.deletePost(post.id);
+        }).then(function(outcome) {
+            self.posts(self.posts().filter(function(post) {
+                return !outcome.results[post.id];
+            }));
+            self.selectedIds(self.selectedIds().filter(function(id) {
+                return !outcome.results[id];
+            }));
+            self.totalPosts(Math.max(0, self.totalPosts() - outcome.succeeded));
+            notifyBulkResult(outcome, 'deleted');
+        });
+    };
+
+    /**
+     * Assign the selected posts to the author chosen in bulkAuthor
+     */
+    self.reassignSelected = function() {
+        var userId = parseInt(self.bulkAuthor(), 10);
+        if (!userId) {
+            Helpers.showNotification('Choose an author first', 'warning');
+            return;
+        }
+
+        var posts = self.selectedPosts().filter(function(post) {
+            return post.userId !== userId;
+        });
+        if (posts.length === 0) {
+            Helpers.showNotification('The selected posts already belong to ' + self.getAuthorName(userId), 'info');
+            return;
+        }
+
+        runBulkAction(posts, function(post) {
+            return ApiService.patchPost(post.id, { userId: userId });
+        }).then(function(outcome) {
+            updateListedPosts(outcome.results);
+            notifyBulkResult(outcome, 'reassigned to ' + self.getAuthorName(userId));
+            self.bulkAuthor('');
+        });
+    };
+
+    /**
+     * Open the export dialog for the selected posts
+     */
+    self.exportSelected = function() {
+        self.exportDialog.open('selected');
+    };
+
+    /**
+     * Toggle the find and replace panel
+     */
+    self.toggleFindReplace = function() {
+        self.showFindReplace(!self.showFindReplace());
+    };
+
+    /**
+     * Selected posts changed by the find and replace, with the changes to apply
+     */
+    self.findReplacePreview = ko.computed(function() {
+        var find = self.findText();
+        if (!find) return [];
+
+        var pattern = new RegExp(Helpers.escapeRegExp(find), self.matchCase() ? 'g' : 'gi');
+        var replacement = self.replaceText();
+        var fields = [];
+        if (self.replaceInTitles()) fields.push('title');
+        if (self.replaceInBodies()) fields.push('body');
+
+        return self.selectedPosts().map(function(post) {
+            var item = { post: post, changes: {}, count: 0 };
+
+            fields.forEach(function(field) {
+                var text = String(post[field] || '');
+                var matches = text.match(pattern);
+                if (matches) {
+                    item.count += matches.length;
+                    // A function keeps "$" in the replacement literal
+                    item.changes[field] = text.replace(pattern, function() { return replacement; });
+                }
+            });
+
+            return item;
+        }).filter(function(item) {
+            return item.count > 0;
         });
     });
 
     /**
-     * Load posts from API
+     * Apply the previewed find and replace
      */
-    self.loadPosts = function() {
-        self.isLoading(true);
-        self.error('');
+    self.applyFindReplace = function() {
+        var items = self.findReplacePreview();
+        if (items.length === 0) {
+            Helpers.showNotification('No matches in the selected posts', 'info');
+            return;
+        }
 
-        ApiService.getPostsWithEdits()
-            .then(function(posts) {
-                self.posts(posts);
-                console.info('Loaded', posts.length, 'posts');
-                
-                // Show notification for edited posts
-                var editedCount = StorageService.getEditedPostIds().length;
-                if (editedCount > 0) {
-                    Helpers.showNotification(
-                        editedCount + ' post(s) have local edits', 
-                        'info', 
-                        3000
-                    );
+        if (!confirm('Replace text in ' + items.length + ' post(s)?')) {
+            return;
+        }
+
+        var changesById = {};
+        items.forEach(function(item) {
+            changesById[item.post.id] = item.changes;
+        });
+
+        runBulkAction(items.map(function(item) { return item.post; }), function(post) {
+            return ApiService.patchPost(post.id, changesById[post.id]);
+        }).then(function(outcome) {
+            updateListedPosts(outcome.results);
+            notifyBulkResult(outcome, 'updated');
+            self.findText('');
+            self.showFindReplace(false);
+        });
+    };
+
+    /**
+     * Read the chosen file and show a dry run of the import
+     * @param {Object} data - Binding context data
+     * @param {Event} event - Change event of the file input
+     */
+    self.importFile = function(data, event) {
+        var input = event.target;
+        var file = input.files && input.files[0];
+        if (!file) return;
+
+        // Let the same file be chosen again later
+        input.value = '';
+
+        self.isImporting(true);
+        self.importFileName(file.name);
+
+        var parsedFile;
+        ImportService.readFile(file)
+            .then(function(text) {
+                parsedFile = ImportService.parse(text, file.name);
+                return ApiService.getPostsWithEdits({ signal: self.requestController.signal });
+            })
+            .then(function(currentPosts) {
+                var items = ImportService.analyze(parsedFile, currentPosts).map(function(item) {
+                    // Conflicts are only imported when the user opts in
+                    item.selected = ko.observable(item.status === ImportService.STATUS.NEW ||
+                        item.status === ImportService.STATUS.CHANGED);
+                    return item;
+                });
+
+                self.importItems(items);
+                if (items.length === 0) {
+                    Helpers.showNotification('The file contains no posts', 'warning');
                 }
             })
             .catch(function(error) {
-                console.error('Failed to load posts:', error);
-                self.error('Failed to load posts: ' + error.message);
-                Helpers.showNotification('Failed to load posts', 'error');
+                if (ApiService.isAbortError(error)) return;
+
+                console.error('Import failed:', error);
+                Helpers.showNotification('Import failed: ' + error.message, 'error');
             })
             .finally(function() {
-                self.isLoading(false);
+                self.isImporting(false);
             });
     };
 
+    /**
+     * Check if an import record can be applied
+     * @param {Object} item - Import item
+     * @returns {boolean} True for new, changed and conflicting records
+     */
+    self.canImportItem = function(item) {
+        return item.status !== ImportService.STATUS.INVALID &&
+            item.status !== ImportService.STATUS.UNCHANGED;
+    };
+
+    /**
+     * Get label and badge class of an import status
+     * @param {string} value - Import status
+     * @returns {Object} Status info
+     */
+    self.getImportStatus = function(value) {
+        return self.importStatuses.filter(function(status) {
+            return status.value === value;
+        })[0];
+    };
+
+    /**
+     * Number of records per import status
+     */
+    self.importSummary = ko.computed(function() {
+        var items = self.importItems();
+        return self.importStatuses.map(function(status) {
+            return {
+                label: status.label,
+                css: status.css,
+                count: items.filter(function(item) {
+                    return item.status === status.value;
+                }).length
+            };
+        });
+    });
+
+    /**
+     * Import records chosen to be applied
+     */
+    self.selectedImportItems = ko.computed(function() {
+        return self.importItems().filter(function(item) {
+            return item.selected() && self.canImportItem(item);
+        });
+    });
+
+    /**
+     * Apply the chosen import records
+     */
+    self.applyImport = function() {
+        var items = self.selectedImportItems();
+        if (items.length === 0) return;
+
+        var conflicts = items.filter(function(item) {
+            return item.status === ImportService.STATUS.CONFLICT;
+        }).length;
+        if (conflicts > 0 && !confirm(conflicts + ' selected post(s) have newer local edits that will be overwritten. Continue?')) {
+            return;
+        }
+
+        var outcome = { succeeded: 0, failed: 0 };
+        self.isImporting(true);
+
+        items.reduce(function(chain, item) {
+            return chain.then(function() {
+                return ImportService.applyItem(item)
+                    .then(function() {
+                        outcome.succeeded++;
+                    })
+                    .catch(function(error) {
+                        outcome.failed++;
+                        console.error('Failed to import record ' + item.index + ':', error);
+                    });
+            });
+        }, Promise.resolve()).then(function() {
+            self.isImporting(false);
+            self.cancelImport();
+            notifyBulkResult(outcome, 'imported');
+            self.loadPosts(self.page());
+        });
+    };
+
+    /**
+     * Discard the import dry run
+     */
+    self.cancelImport = function() {
+        self.importItems([]);
+        self.importFileName('');
+    };
+
     /**
      * Refresh posts data
      */
     self.refreshPosts = function() {
         console.info('Refreshing posts...');
-        self.loadPosts();
+        self.loadPosts(self.page());
+        self.loadCommentCounts();
     };
 
     /**
@@ -148,23 +1460,55 @@ function PostsListViewModel() {
         return StorageService.isPostEdited(post.id);
     };
 
+    /**
+     * Check if post was created locally
+     * @param {Object} post - Post object
+     * @returns {boolean} True if post only exists locally
+     */
+    self.isPostCreated = function(post) {
+        if (!post || !post.id) return false;
+        return StorageService.isPostCreated(post.id);
+    };
+
+    /**
+     * Get the workflow status badge of a post
+     * @param {Object} post - Post object
+     * @returns {Object} Status option with label and css
+     */
+    self.getStatusOption = function(post) {
+        return PostStatus.getOption(PostStatus.getStatus(post));
+    };
+
     /**
      * Get posts count by status
      * @returns {Object} Posts count statistics
      */
     self.getPostsStats = ko.computed(function() {
-        var total = self.posts().length;
+        var total = self.totalPosts();
         var filtered = self.filteredPosts().length;
         var edited = StorageService.getEditedPostIds().length;
         
         return {
             total: total,
+            loaded: self.posts().length,
             filtered: filtered,
             edited: edited,
-            searchActive: self.searchTerm().trim() !== ''
+            searchActive: self.activeFilters().length > 0
         };
     });
 
+    /**
+     * Summary text shown next to the search box
+     */
+    self.resultsSummary = ko.computed(function() {
+        var stats = self.getPostsStats();
+
+        if (stats.searchActive) {
+            return stats.filtered + ' posts found in ' + stats.loaded + ' loaded';
+        }
+        return 'Showing ' + stats.loaded + ' of ' + stats.total + ' posts';
+    });
+
     /**
      * Handle keyboard shortcuts
      * @param {Object} data - Knockout data
@@ -191,37 +1535,44 @@ function PostsListViewModel() {
     };
 
     /**
-     * Export posts data (bonus feature)
+     * Get the posts of an export scope
+     * @param {string} scope - 'all', 'filtered' or 'selected'
+     * @returns {Array|Promise<Array>} Posts with local edits merged
      */
-    self.exportPosts = function() {
-        try {
-            var postsData = {
-                posts: self.posts(),
-                editedPosts: StorageService.getEditedPostIds().map(function(id) {
-                    return {
-                        id: id,
-                        data: StorageService.getEditedPost(id)
-                    };
-                }),
-                exportDate: new Date().toISOString(),
-                userEmail: self.userEmail()
-            };
-
-            var dataStr = JSON.stringify(postsData, null, 2);
-            var dataBlob = new Blob([dataStr], { type: 'application/json' });
-            
-            var link = document.createElement('a');
-            link.href = URL.createObjectURL(dataBlob);
-            link.download = 'posts-export-' + new Date().toISOString().split('T')[0] + '.json';
-            link.click();
-            
-            Helpers.showNotification('Posts exported successfully', 'success');
-        } catch (error) {
-            console.error('Export failed:', error);
-            Helpers.showNotification('Export failed', 'error');
+    self.getExportPosts = function(scope) {
+        switch (scope) {
+            case 'filtered':
+                return self.sortedPosts();
+            case 'selected':
+                return self.selectedPosts();
+            default:
+                // Later pages may not be loaded yet
+                return self.hasMore() ?
+                    ApiService.getPostsWithEdits({ signal: self.requestController.signal }) :
+                    self.posts();
         }
     };
 
+    // Export dialog (CSV, Markdown, print or JSON)
+    self.exportDialog = new ExportDialogViewModel({
+        scopes: [
+            { value: 'all', label: 'All posts', count: self.totalPosts },
+            { value: 'filtered', label: 'Filtered posts', count: function() { return self.sortedPosts().length; } },
+            { value: 'selected', label: 'Selected posts', count: function() { return self.selectedPosts().length; } }
+        ],
+        getPosts: self.getExportPosts,
+        fileName: 'posts-export',
+        title: 'Posts',
+        getAuthorName: self.getAuthorName
+    });
+
+    /**
+     * Open the export dialog
+     */
+    self.exportPosts = function() {
+        self.exportDialog.open();
+    };
+
     /**
      * Check API connectivity status
      */
@@ -236,6 +1587,153 @@ function PostsListViewModel() {
             });
     };
 
+    /**
+     * Refresh a listed post that another tab saved or deleted
+     * @param {Object} change - Change from TabSyncService
+     */
+    self.handleTabChange = function(change) {
+        if (change.type !== 'post') return;
+
+        var isListed = self.posts().some(function(post) {
+            return post.id === change.postId;
+        });
+        if (!isListed) return;
+
+        ApiService.getPostWithEdits(change.postId, { signal: self.requestController.signal })
+            .then(function(post) {
+                var changesById = {};
+                changesById[post.id] = post;
+                updateListedPosts(changesById);
+            })
+            .catch(function(error) {
+                if (ApiService.isAbortError(error)) return;
+
+                if (error.status === 404) {
+                    // One delete writes several keys, only the first refresh removes the post
+                    var remaining = self.posts().filter(function(post) {
+                        return post.id !== change.postId;
+                    });
+                    if (remaining.length === self.posts().length) return;
+
+                    self.posts(remaining);
+                    self.setSelected([change.postId], false);
+                    self.totalPosts(Math.max(0, self.totalPosts() - 1));
+                    return;
+                }
+
+                console.error('Failed to refresh post changed in another tab:', error);
+            });
+    };
+
+    /**
+     * Get URL query parameters describing the list state, defaults are left out
+     * @returns {Object} Parameters (q, user, status, state, length, sort, dir, page)
+     */
+    self.getRouteParams = function() {
+        var query = self.currentQuery();
+        var params = {};
+
+        if (query.term) params.q = query.term;
+        if (query.userId) params.user = query.userId;
+        if (query.status) params.status = query.status;
+        if (query.state) params.state = query.state;
+        if (query.length) params.length = query.length;
+
+        if (self.sortKey() !== DEFAULT_SORT_KEY || self.sortDirection() !== DEFAULT_SORT_DIRECTION) {
+            params.sort = self.sortKey();
+            params.dir = self.sortDirection();
+        }
+
+        if (self.page() > 1) params.page = self.page();
+
+        return params;
+    };
+
+    /**
+     * Restore list state from URL query parameters
+     * Safe to call repeatedly with the same parameters, unchanged values are left alone
+     * @param {Object} params - Route parameters from Router
+     */
+    self.applyParams = function(params) {
+        params = params || {};
+
+        /**
+         * Return value if it is one of the options, otherwise an empty string
+         */
+        function validOption(options, key, value) {
+            return options.some(function(option) { return option[key] === value; }) ? value : '';
+        }
+
+        var term = params.q || '';
+        if (self.searchTerm().trim() !== term) {
+            self.searchTerm(term);
+        }
+
+        var userId = parseInt(params.user, 10) || '';
+        if ((self.authorFilter() || '') !== userId) {
+            self.authorFilter(userId);
+        }
+
+        var status = validOption(self.statusOptions, 'value', params.status);
+        if ((self.statusFilter() || '') !== status) {
+            self.statusFilter(status);
+        }
+
+        var state = validOption(self.stateOptions, 'value', params.state);
+        if ((self.stateFilter() || '') !== state) {
+            self.stateFilter(state);
+        }
+
+        var length = validOption(self.lengthOptions, 'value', params.length);
+        if ((self.lengthFilter() || '') !== length) {
+            self.lengthFilter(length);
+        }
+
+        // Without sort parameters the saved preference stays in effect
+        if (validOption(self.sortOptions, 'key', params.sort)) {
+            self.sortKey(params.sort);
+            self.sortDirection(params.dir === 'desc' ? 'desc' : 'asc');
+        }
+
+        // Pages are only added here, the initial load handles the page parameter itself
+        var page = parseInt(params.page, 10) || 1;
+        if (!self.isLoading() && self.page() > 0 && page > self.page()) {
+            self.loadPagesUntil(page);
+        }
+    };
+
+    /**
+     * List state as URL parameters
+     */
+    self.routeParams = ko.computed(function() {
+        return self.getRouteParams();
+    });
+
+    /**
+     * Write the list state to the URL without adding history entries
+     */
+    var updateUrl = Helpers.debounce(function() {
+        var currentRoute = Router.getCurrentRoute();
+        if (isDisposed || !currentRoute || currentRoute.name !== 'posts') {
+            return;
+        }
+
+        var params = self.routeParams();
+        if (Router.generateUrl('posts', params) !== Router.getCurrentUrl()) {
+            Router.navigate('posts', params, true);
+        }
+    }, 300);
+
+    self.routeParams.subscribe(updateUrl);
+
+    // Persist saved view changes
+    self.savedViews.subscribe(self.persistSavedViews);
+
+    // Persist layout changes
+    [self.viewMode, self.sortKey, self.sortDirection, self.visibleColumns].forEach(function(observable) {
+        observable.subscribe(self.savePreferences);
+    });
+
     // Subscribe to search term changes
     self.searchTerm.subscribe(function(newValue) {
         console.info('Search term changed:', newValue);
@@ -249,12 +1747,26 @@ function PostsListViewModel() {
         
         // Load user information
         self.loadUserInfo();
+        self.loadPreferences();
+        self.loadSavedViews();
         
+        // Restore list state from the URL, it takes precedence over saved preferences
+        var params = Router.getParams();
+        self.applyParams(params);
+
         // Load posts
-        self.loadPosts();
+        self.loadPosts(params.page);
+        self.loadCommentCounts();
+        self.loadUsers();
+
+        // Follow saves and deletes made in other tabs
+        TabSyncService.onChange(self.handleTabChange);
         
         // Set up keyboard shortcuts
         document.addEventListener('keydown', self.handleKeyPress);
+
+        // Infinite scroll
+        window.addEventListener('scroll', self.handleScroll);
         
         // Focus search input if available
         setTimeout(function() {
@@ -271,18 +1783,96 @@ function PostsListViewModel() {
      */
     self.dispose = function() {
         console.info('PostsListViewModel disposed');
+        isDisposed = true;
         
+        // Cancel pending requests
+        self.requestController.abort();
+
         // Remove event listeners
         document.removeEventListener('keydown', self.handleKeyPress);
+        window.removeEventListener('scroll', self.handleScroll);
+        TabSyncService.removeChangeCallback(self.handleTabChange);
         
         // Dispose computed observables
+        if (self.searchIndex && typeof self.searchIndex.dispose === 'function') {
+            self.searchIndex.dispose();
+        }
+
+        if (self.searchResults && typeof self.searchResults.dispose === 'function') {
+            self.searchResults.dispose();
+        }
+
+        if (self.needsAllPosts && typeof self.needsAllPosts.dispose === 'function') {
+            self.needsAllPosts.dispose();
+        }
+
+        if (self.serverSort && typeof self.serverSort.dispose === 'function') {
+            self.serverSort.dispose();
+        }
+
+        if (self.currentQuery && typeof self.currentQuery.dispose === 'function') {
+            self.currentQuery.dispose();
+        }
+
         if (self.filteredPosts && typeof self.filteredPosts.dispose === 'function') {
             self.filteredPosts.dispose();
         }
+
+        if (self.authorOptions && typeof self.authorOptions.dispose === 'function') {
+            self.authorOptions.dispose();
+        }
+
+        if (self.activeFilters && typeof self.activeFilters.dispose === 'function') {
+            self.activeFilters.dispose();
+        }
+
+        if (self.savedViewItems && typeof self.savedViewItems.dispose === 'function') {
+            self.savedViewItems.dispose();
+        }
+
+        if (self.activeViewId && typeof self.activeViewId.dispose === 'function') {
+            self.activeViewId.dispose();
+        }
+
+        if (self.selectedPosts && typeof self.selectedPosts.dispose === 'function') {
+            self.selectedPosts.dispose();
+        }
+
+        if (self.allFilteredSelected && typeof self.allFilteredSelected.dispose === 'function') {
+            self.allFilteredSelected.dispose();
+        }
+
+        if (self.findReplacePreview && typeof self.findReplacePreview.dispose === 'function') {
+            self.findReplacePreview.dispose();
+        }
+
+        if (self.importSummary && typeof self.importSummary.dispose === 'function') {
+            self.importSummary.dispose();
+        }
+
+        if (self.selectedImportItems && typeof self.selectedImportItems.dispose === 'function') {
+            self.selectedImportItems.dispose();
+        }
         
+        if (self.sortedPosts && typeof self.sortedPosts.dispose === 'function') {
+            self.sortedPosts.dispose();
+        }
+
         if (self.getPostsStats && typeof self.getPostsStats.dispose === 'function') {
             self.getPostsStats.dispose();
         }
+
+        if (self.resultsSummary && typeof self.resultsSummary.dispose === 'function') {
+            self.resultsSummary.dispose();
+        }
+
+        if (self.routeParams && typeof self.routeParams.dispose === 'function') {
+            self.routeParams.dispose();
+        }
+
+        if (self.syncStatus && typeof self.syncStatus.dispose === 'function') {
+            self.syncStatus.dispose();
+        }
     };
 
     // Auto-initialize
@@ -0,0 +1,82 @@
+/**
+ * SyncStatusViewModel - Pending sync indicator shared by the posts list and post detail pages
+ * Shows how many queued offline changes are waiting and lets the user replay them
+ */
+function SyncStatusViewModel() {
+    'use strict';
+
+    var self = this;
+
+    // Observable properties
+    self.pendingCount = ko.observable(0);
+    self.failedCount = ko.observable(0);
+    self.isSyncing = ko.observable(false);
+
+    /**
+     * Text for the pending sync indicator
+     */
+    self.text = ko.computed(function() {
+        var count = self.pendingCount();
+        if (count === 0) return '';
+
+        var text = count + (count === 1 ? ' change' : ' changes') + ' pending sync';
+        if (self.failedCount() > 0) {
+            text += ' (' + self.failedCount() + ' failed)';
+        }
+        return text;
+    });
+
+    /**
+     * Update sync indicator from outbox summary
+     * @param {Object} summary - Outbox summary from SyncService
+     */
+    self.handleSyncChange = function(summary) {
+        self.pendingCount(summary.total);
+        self.failedCount(summary.failed);
+    };
+
+    /**
+     * Manually replay queued changes
+     */
+    self.syncNow = function() {
+        if (self.isSyncing()) return;
+
+        self.isSyncing(true);
+        SyncService.replay(true)
+            .then(function(result) {
+                if (!result.online) {
+                    Helpers.showNotification('API is offline - changes will sync when connection returns', 'warning');
+                } else if (result.failed > 0) {
+                    Helpers.showNotification(result.failed + ' change(s) failed to sync', 'error');
+                } else if (result.synced > 0) {
+                    Helpers.showNotification(result.synced + ' change(s) synced', 'success');
+                }
+            })
+            .finally(function() {
+                self.isSyncing(false);
+            });
+    };
+
+    /**
+     * Initialize the view model
+     */
+    self.init = function() {
+        // Track queued offline changes
+        self.handleSyncChange(SyncService.getSummary());
+        SyncService.onChange(self.handleSyncChange);
+    };
+
+    /**
+     * Cleanup when the owning view model is disposed
+     */
+    self.dispose = function() {
+        SyncService.removeChangeCallback(self.handleSyncChange);
+
+        if (self.text && typeof self.text.dispose === 'function') {
+            self.text.dispose();
+        }
+    };
+
+    // Auto-initialize
+    self.init();
+}
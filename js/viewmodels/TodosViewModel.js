@@ -0,0 +1,332 @@
+/**
+ * TodosViewModel - Handles the todo board of a user
+ * Todos are toggled, added, edited and deleted locally and synced like posts
+ */
+function TodosViewModel(userId) {
+    'use strict';
+
+    var self = this;
+
+    // Observable properties
+    self.userId = ko.observable(parseInt(userId) || 1);
+    self.users = ko.observableArray([]);
+    self.todos = ko.observableArray([]);
+    self.isLoading = ko.observable(false);
+    self.error = ko.observable('');
+
+    // Cancels in-flight requests when the view model is disposed
+    self.requestController = new AbortController();
+
+    // Filters
+    self.filter = ko.observable('all');
+    self.searchTerm = ko.observable('');
+    self.filterOptions = [
+        { value: 'all', label: 'All' },
+        { value: 'active', label: 'Active' },
+        { value: 'completed', label: 'Completed' }
+    ];
+
+    // Adding and editing
+    self.newTodoTitle = ko.observable('');
+    self.isAddingTodo = ko.observable(false);
+    self.editingTodoId = ko.observable(null);
+    self.editTodoTitle = ko.observable('');
+
+    /**
+     * Load the users for the user picker
+     */
+    self.loadUsers = function() {
+        ApiService.fetchUsers({ signal: self.requestController.signal })
+            .then(function(users) {
+                self.users(users);
+            })
+            .catch(function(error) {
+                if (ApiService.isAbortError(error)) return;
+
+                // The board still works for the user in the URL
+                console.warn('Failed to load users:', error);
+            });
+    };
+
+    /**
+     * Load the todos of the selected user
+     */
+    self.loadTodos = function() {
+        self.isLoading(true);
+        self.error('');
+
+        ApiService.getTodosWithEdits(self.userId(), { signal: self.requestController.signal })
+            .then(function(todos) {
+                self.todos(todos);
+            })
+            .catch(function(error) {
+                if (ApiService.isAbortError(error)) return;
+
+                console.error('Failed to load todos:', error);
+                self.error('Failed to load todos: ' + error.message);
+                Helpers.showNotification('Failed to load todos', 'error');
+            })
+            .finally(function() {
+                self.isLoading(false);
+            });
+    };
+
+    /**
+     * Todos matching the status filter and search term
+     */
+    self.filteredTodos = ko.computed(function() {
+        var filter = self.filter();
+        var term = self.searchTerm().trim().toLowerCase();
+
+        return self.todos().filter(function(todo) {
+            if (filter === 'active' && todo.completed) return false;
+            if (filter === 'completed' && !todo.completed) return false;
+            return !term || todo.title.toLowerCase().indexOf(term) !== -1;
+        });
+    });
+
+    /**
+     * Number of completed todos
+     */
+    self.completedCount = ko.computed(function() {
+        return self.todos().filter(function(todo) {
+            return todo.completed;
+        }).length;
+    });
+
+    /**
+     * Share of completed todos in percent
+     */
+    self.progress = ko.computed(function() {
+        var total = self.todos().length;
+        return total > 0 ? Math.round((self.completedCount() / total) * 100) : 0;
+    });
+
+    /**
+     * Count todos for a filter option
+     * @param {Object} option - Filter option
+     * @returns {number} Number of todos
+     */
+    self.getFilterCount = function(option) {
+        var total = self.todos().length;
+        switch (option.value) {
+            case 'active':
+                return total - self.completedCount();
+            case 'completed':
+                return self.completedCount();
+            default:
+                return total;
+        }
+    };
+
+    /**
+     * Show todos of a filter option
+     * @param {Object} option - Filter option
+     */
+    self.setFilter = function(option) {
+        self.filter(option.value);
+    };
+
+    /**
+     * Check if a todo was created locally
+     * @param {Object} todo - Todo object
+     * @returns {boolean} True if created locally
+     */
+    self.isTodoCreated = function(todo) {
+        return StorageService.getCreatedTodo(todo.id) !== null;
+    };
+
+    /**
+     * Mark a todo as completed or not completed
+     * @param {Object} todo - Todo to toggle
+     */
+    self.toggleTodo = function(todo) {
+        var completed = !todo.completed;
+
+        ApiService.updateTodo(todo.id, { completed: completed })
+            .then(function() {
+                self.todos.replace(todo, Object.assign({}, todo, { completed: completed }));
+            })
+            .catch(function(error) {
+                console.error('Failed to update todo:', error);
+                Helpers.showNotification('Failed to update todo', 'error');
+            });
+
+        // The checkbox is redrawn from the list once the change is applied
+        return false;
+    };
+
+    /**
+     * Add a todo from the new todo field
+     */
+    self.addTodo = function() {
+        var title = self.newTodoTitle().trim();
+
+        if (self.isAddingTodo()) {
+            return false;
+        }
+
+        if (!title) {
+            Helpers.showNotification('Todo cannot be empty', 'error');
+            return false;
+        }
+
+        self.isAddingTodo(true);
+
+        ApiService.createTodo(self.userId(), { title: title, completed: false })
+            .then(function(todo) {
+                self.todos.push(todo);
+                self.newTodoTitle('');
+            })
+            .catch(function(error) {
+                console.error('Failed to add todo:', error);
+                Helpers.showNotification('Failed to add todo', 'error');
+            })
+            .finally(function() {
+                self.isAddingTodo(false);
+            });
+
+        return false;
+    };
+
+    /**
+     * Start editing a todo
+     * @param {Object} todo - Todo to edit
+     */
+    self.startEditTodo = function(todo) {
+        self.editingTodoId(todo.id);
+        self.editTodoTitle(todo.title);
+    };
+
+    /**
+     * Cancel the todo being edited
+     */
+    self.cancelEditTodo = function() {
+        self.editingTodoId(null);
+        self.editTodoTitle('');
+    };
+
+    /**
+     * Check if a todo is being edited
+     * @param {Object} todo - Todo object
+     * @returns {boolean} True if the todo is in edit mode
+     */
+    self.isEditingTodo = function(todo) {
+        return self.editingTodoId() === todo.id;
+    };
+
+    /**
+     * Save the todo being edited
+     * @param {Object} todo - Todo to save
+     */
+    self.saveTodoEdit = function(todo) {
+        var title = self.editTodoTitle().trim();
+
+        if (!title) {
+            Helpers.showNotification('Todo cannot be empty', 'error');
+            return;
+        }
+
+        if (title === todo.title) {
+            self.cancelEditTodo();
+            return;
+        }
+
+        ApiService.updateTodo(todo.id, { title: title })
+            .then(function() {
+                self.todos.replace(todo, Object.assign({}, todo, { title: title }));
+                self.cancelEditTodo();
+            })
+            .catch(function(error) {
+                console.error('Failed to update todo:', error);
+                Helpers.showNotification('Failed to update todo', 'error');
+            });
+    };
+
+    /**
+     * Save with Enter and cancel with Escape while editing a todo
+     * @param {Object} todo - Todo being edited
+     * @param {KeyboardEvent} event - Keydown event
+     * @returns {boolean} True to let other keys through
+     */
+    self.handleEditKey = function(todo, event) {
+        if (event.key === 'Enter') {
+            self.saveTodoEdit(todo);
+            return false;
+        }
+
+        if (event.key === 'Escape') {
+            self.cancelEditTodo();
+            return false;
+        }
+
+        return true;
+    };
+
+    /**
+     * Delete a todo
+     * @param {Object} todo - Todo to delete
+     */
+    self.deleteTodo = function(todo) {
+        if (!confirm('Are you sure you want to delete this todo?')) {
+            return;
+        }
+
+        ApiService.deleteTodo(todo.id)
+            .then(function() {
+                self.todos.remove(todo);
+                Helpers.showNotification('Todo deleted', 'success');
+            })
+            .catch(function(error) {
+                console.error('Failed to delete todo:', error);
+                Helpers.showNotification('Failed to delete todo', 'error');
+            });
+    };
+
+    /**
+     * Open the board of another user
+     * @param {number} id - User ID
+     */
+    self.selectUser = function(id) {
+        Router.navigate('todos', { userId: id });
+    };
+
+    /**
+     * Initialize the view model
+     */
+    self.init = function() {
+        console.info('TodosViewModel initialized for user:', self.userId());
+
+        self.loadUsers();
+        self.loadTodos();
+
+        // The user picker navigates, so the URL always names the board's user
+        self.userId.subscribe(self.selectUser);
+    };
+
+    /**
+     * Cleanup when view model is disposed
+     */
+    self.dispose = function() {
+        console.info('TodosViewModel disposed');
+
+        // Cancel pending requests
+        self.requestController.abort();
+
+        // Dispose computed observables
+        if (self.filteredTodos && typeof self.filteredTodos.dispose === 'function') {
+            self.filteredTodos.dispose();
+        }
+
+        if (self.completedCount && typeof self.completedCount.dispose === 'function') {
+            self.completedCount.dispose();
+        }
+
+        if (self.progress && typeof self.progress.dispose === 'function') {
+            self.progress.dispose();
+        }
+    };
+
+    // Auto-initialize
+    self.init();
+}
@@ -0,0 +1,219 @@
+/**
+ * UserProfileViewModel - Handles the profile page of a post author
+ * Shows the user's contact details, their posts with local edits merged
+ * and the edit activity on those posts
+ */
+function UserProfileViewModel(userId) {
+    'use strict';
+
+    var self = this;
+
+    // Most recent activity entries shown
+    var ACTIVITY_LIMIT = 20;
+
+    // Observable properties
+    self.userId = parseInt(userId);
+    self.user = ko.observable(null);
+    self.posts = ko.observableArray([]);
+    self.isLoading = ko.observable(false);
+    self.error = ko.observable('');
+
+    // Cancels in-flight requests when the view model is disposed
+    self.requestController = new AbortController();
+
+    /**
+     * Load the user and their posts
+     */
+    self.loadProfile = function() {
+        if (isNaN(self.userId)) {
+            self.error('Invalid user ID');
+            return;
+        }
+
+        self.isLoading(true);
+        self.error('');
+
+        var options = { signal: self.requestController.signal };
+
+        Promise.all([
+            ApiService.fetchUsers(options),
+            ApiService.getUserPostsWithEdits(self.userId, options)
+        ])
+            .then(function(results) {
+                var user = results[0].find(function(candidate) {
+                    return candidate.id === self.userId;
+                });
+
+                if (!user) {
+                    self.error('User ' + self.userId + ' not found');
+                    return;
+                }
+
+                self.user(user);
+                self.posts(results[1]);
+            })
+            .catch(function(error) {
+                if (ApiService.isAbortError(error)) return;
+
+                console.error('Failed to load user profile:', error);
+                self.error('Failed to load user profile: ' + error.message);
+                Helpers.showNotification('Failed to load user profile', 'error');
+            })
+            .finally(function() {
+                self.isLoading(false);
+            });
+    };
+
+    /**
+     * Check if a post has local edits
+     * @param {Object} post - Post object
+     * @returns {boolean} True if edited
+     */
+    self.isPostEdited = function(post) {
+        return StorageService.isPostEdited(post.id);
+    };
+
+    /**
+     * Check if a post was created locally
+     * @param {Object} post - Post object
+     * @returns {boolean} True if created locally
+     */
+    self.isPostCreated = function(post) {
+        return StorageService.isPostCreated(post.id);
+    };
+
+    /**
+     * Address of the user on one line
+     */
+    self.address = ko.computed(function() {
+        var user = self.user();
+        var address = user && user.address;
+        if (!address) return '';
+
+        return [address.street, address.suite, address.city, address.zipcode].filter(Boolean).join(', ');
+    });
+
+    /**
+     * Website of the user as a link target
+     */
+    self.websiteUrl = ko.computed(function() {
+        var user = self.user();
+        if (!user || !user.website) return '';
+
+        return /^https?:\/\//i.test(user.website) ? user.website : 'https://' + user.website;
+    });
+
+    /**
+     * Post statistics: totals, local changes and workflow statuses
+     */
+    self.stats = ko.computed(function() {
+        var posts = self.posts();
+        var countsByStatus = PostStatus.countByStatus(posts);
+
+        return {
+            total: posts.length,
+            edited: posts.filter(self.isPostEdited).length,
+            created: posts.filter(self.isPostCreated).length,
+            statusCounts: PostStatus.OPTIONS.map(function(option) {
+                return Object.assign({ count: countsByStatus[option.value] }, option);
+            })
+        };
+    });
+
+    /**
+     * Saved edits and status changes on the user's posts, newest first
+     * Each entry is { post, description, changedBy, timestamp }
+     */
+    self.activity = ko.computed(function() {
+        var entries = [];
+
+        self.posts().forEach(function(post) {
+            StorageService.getRevisions(post.id).forEach(function(revision) {
+                entries.push({
+                    post: post,
+                    description: 'Edited',
+                    changedBy: revision.author,
+                    timestamp: new Date(revision.timestamp).getTime()
+                });
+            });
+
+            (post.statusHistory || []).forEach(function(change) {
+                entries.push({
+                    post: post,
+                    description: 'Moved to ' + PostStatus.getOption(change.to).label,
+                    changedBy: change.changedBy,
+                    timestamp: new Date(change.changedAt).getTime()
+                });
+            });
+        });
+
+        return entries.sort(function(a, b) {
+            return b.timestamp - a.timestamp;
+        }).slice(0, ACTIVITY_LIMIT);
+    });
+
+    /**
+     * Get the status display option of a post
+     * @param {Object} post - Post object
+     * @returns {Object} Option with label and css
+     */
+    self.getStatusOption = function(post) {
+        return PostStatus.getOption(PostStatus.getStatus(post));
+    };
+
+    /**
+     * Format an activity date
+     * @param {Object} entry - Activity entry
+     * @returns {string} Formatted date
+     */
+    self.getActivityDate = function(entry) {
+        return Helpers.formatDate(entry.timestamp);
+    };
+
+    /**
+     * Open a post's detail page
+     * @param {Object} post - Selected post object
+     */
+    self.selectPost = function(post) {
+        Router.navigate('detail', { id: post.id });
+    };
+
+    /**
+     * Initialize the view model
+     */
+    self.init = function() {
+        console.info('UserProfileViewModel initialized for user:', userId);
+
+        self.loadProfile();
+    };
+
+    /**
+     * Cleanup when view model is disposed
+     */
+    self.dispose = function() {
+        console.info('UserProfileViewModel disposed');
+
+        // Cancel pending requests
+        self.requestController.abort();
+
+        // Dispose computed observables
+        if (self.address && typeof self.address.dispose === 'function') {
+            self.address.dispose();
+        }
+
+        if (self.websiteUrl && typeof self.websiteUrl.dispose === 'function') {
+            self.websiteUrl.dispose();
+        }
+
+        if (self.stats && typeof self.stats.dispose === 'function') {
+            self.stats.dispose();
+        }
+
+        if (self.activity && typeof self.activity.dispose === 'function') {
+            self.activity.dispose();
+        }
+    };
+
+    // Auto-initialize
+    self.init();
+}